@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IUniswapV2Factory
+ * @dev Minimal subset of the Uniswap V2 factory used to verify liquidity pairs
+ */
+interface IUniswapV2Factory {
+    function getPair(address tokenA, address tokenB) external view returns (address pair);
+}
+
+/**
+ * @title IUniswapV2Pair
+ * @dev Minimal subset of a Uniswap V2 pair used to read its underlying tokens
+ */
+interface IUniswapV2Pair {
+    function token0() external view returns (address);
+    function token1() external view returns (address);
+}
@@ -2,17 +2,18 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /**
  * @title MockERC20
- * @dev A simple ERC20 token for testing purposes
+ * @dev A simple ERC20 token with EIP-2612 permits for testing purposes
  */
-contract MockERC20 is ERC20 {
-    constructor(string memory name, string memory symbol) ERC20(name, symbol) {
+contract MockERC20 is ERC20, ERC20Permit {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) ERC20Permit(name) {
         _mint(msg.sender, 1000000 * 10**decimals());
     }
 
     function mint(address to, uint256 amount) external {
         _mint(to, amount);
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockFeeOnTransferERC20
+ * @dev An ERC20 token that burns a percentage of every transfer, for testing taxed tokens
+ */
+contract MockFeeOnTransferERC20 is ERC20 {
+    /// @notice Fee burned on each transfer, in basis points
+    uint256 public feeBps;
+
+    constructor(string memory name, string memory symbol, uint256 _feeBps) ERC20(name, symbol) {
+        feeBps = _feeBps;
+        _mint(msg.sender, 1000000 * 10**decimals());
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+
+        uint256 fee = (value * feeBps) / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
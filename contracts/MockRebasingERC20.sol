@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockRebasingERC20
+ * @dev An ERC20 token whose balances can be scaled up or down, for testing rebasing tokens.
+ * Balances are stored as shares and converted with a global multiplier.
+ */
+contract MockRebasingERC20 is ERC20 {
+    uint256 private constant PRECISION = 1e18;
+
+    /// @notice Current balance per share, scaled by 1e18
+    uint256 public multiplier = PRECISION;
+
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {
+        _mint(msg.sender, 1000000 * 10**decimals());
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Scales every balance by `newMultiplier / 1e18`
+     */
+    function rebase(uint256 newMultiplier) external {
+        multiplier = newMultiplier;
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        return (super.balanceOf(account) * multiplier) / PRECISION;
+    }
+
+    function totalSupply() public view override returns (uint256) {
+        return (super.totalSupply() * multiplier) / PRECISION;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, (value * PRECISION) / multiplier);
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockUniswapV2Pair.sol";
+
+/**
+ * @title MockUniswapV2Factory
+ * @dev A Uniswap V2 style factory for testing purposes
+ */
+contract MockUniswapV2Factory {
+    mapping(address => mapping(address => address)) public getPair;
+
+    event PairCreated(address indexed token0, address indexed token1, address pair);
+
+    function createPair(address tokenA, address tokenB) external returns (address pair) {
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        require(getPair[token0][token1] == address(0), "MockUniswapV2Factory: PAIR_EXISTS");
+
+        pair = address(new MockUniswapV2Pair(token0, token1));
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+
+        emit PairCreated(token0, token1, pair);
+    }
+}
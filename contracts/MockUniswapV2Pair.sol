@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockUniswapV2Pair
+ * @dev A Uniswap V2 style LP token for testing purposes, without any AMM logic
+ */
+contract MockUniswapV2Pair is ERC20 {
+    address public factory;
+    address public token0;
+    address public token1;
+
+    constructor(address _token0, address _token1) ERC20("Uniswap V2", "UNI-V2") {
+        factory = msg.sender;
+        token0 = _token0;
+        token1 = _token1;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
@@ -2,48 +2,168 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./IUniswapV2.sol";
+import "./TokenLockerDescriptor.sol";
+import "./TokenLockerLens.sol";
 
 /**
  * @title TokenLocker
  * @dev A smart contract for locking ERC20 tokens with time-based release mechanisms.
  * 
- * This contract allows users to lock their ERC20 tokens for a specified period of time.
- * Tokens can only be withdrawn after the unlock date has passed. Users can also transfer
- * their lock ownership to another address.
+ * This contract allows users to lock their ERC20 tokens, or native ETH, for a specified period of time.
+ * Tokens can only be withdrawn after the unlock date has passed. Every lock is an ERC-721
+ * token whose holder owns the lock, so lock ownership can be transferred and approved with
+ * the standard NFT functions.
  * 
  * Features:
  * - Lock tokens with custom unlock dates
- * - Withdraw tokens after unlock date
- * - Transfer lock ownership
- * - Query locks by user or token
+ * - Lock native ETH, using the zero address as the token
+ * - Liquidity locks for verified Uniswap V2 style LP tokens
+ * - Batch locks for many beneficiaries in a single transfer
+ * - Vesting locks with a cliff followed by linear release
+ * - Withdraw tokens after unlock date (or the vested portion of a vesting lock)
+ * - Extend, top up, split and merge existing locks
+ * - Lock positions as ERC-721 NFTs with on-chain metadata
+ * - Transfer lock ownership, directly or through a propose/accept flow
+ * - Operators approved per lock or for all locks of an owner can withdraw and transfer
+ * - Gasless locking with EIP-2612 permits, and EIP-712 signed transfers and withdrawals
+ * - Query locks by user or token, with pagination and status filters
  * - Get total locked amounts
  * - View active (non-withdrawn, non-expired) locks
- * - Fee mechanism for locking tokens
+ * - Fee mechanism for locking tokens: flat ETH, flat ERC20 or a basis-point cut, with exemptions
+ * - Emergency pause by a guardian, which never blocks withdrawals, and a token blocklist
+ * - Rescue of tokens sent to the contract by mistake, limited to the balance above `tokenTotalLocked`
  * 
  * @author jscrui | https://github.com/jscrui
  * @notice This contract implements a time-locked token system
  * @custom:security-contact security@kitsunine.io
  */
-contract TokenLocker is ReentrancyGuard, Ownable {
+contract TokenLocker is ERC721, EIP712, Nonces, ReentrancyGuard, Pausable, Ownable {
     using SafeERC20 for IERC20;
 
+    /// @notice EIP-712 typehash of a signed lock transfer
+    bytes32 public constant TRANSFER_LOCK_TYPEHASH =
+        keccak256("TransferLock(uint256 lockId,address newOwner,uint256 nonce,uint256 deadline)");
+
+    /// @notice EIP-712 typehash of a signed withdrawal
+    bytes32 public constant WITHDRAW_TYPEHASH =
+        keccak256("Withdraw(uint256 lockId,uint256 nonce,uint256 deadline)");
+
+    /// @notice Contract rendering the NFT metadata of locks
+    TokenLockerDescriptor public immutable descriptor;
+
+    /// @notice Contract computing the lock queries filtered by status, which this contract forwards
+    TokenLockerLens public immutable lens;
+
     /// @notice The next available lock ID
     uint256 public nextLockId;
 
-    /// @notice Fee required to lock tokens (in wei)
+    /// @notice Fee required to lock tokens in `FeeMode.FlatNative` (in wei)
     uint256 public lockFee;
 
+    /// @notice Denominator of basis-point values
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+
+    /// @notice Upper bound of `feeBps` (10%)
+    uint256 public constant MAX_FEE_BPS = 1_000;
+
+    /// @notice Sentinel token address used by locks holding native ETH
+    address public constant NATIVE_TOKEN = address(0);
+
+    /// @notice Lock fees collected and not yet withdrawn (in wei), kept apart from locked ETH
+    uint256 public accumulatedFees;
+
+    /// @notice How new locks are charged
+    FeeMode public feeMode;
+
+    /// @notice ERC20 token the fee is paid in for `FeeMode.FlatToken`
+    address public feeToken;
+
+    /// @notice Fee charged in `feeToken` for `FeeMode.FlatToken`
+    uint256 public tokenFeeAmount;
+
+    /// @notice Share of the locked amount charged for `FeeMode.Percentage`, in basis points
+    uint256 public feeBps;
+
+    /// @notice Address receiving withdrawn ETH fees and ERC20 fees
+    address public feeRecipient;
+
+    /// @notice Uniswap V2 style factory whose pairs can be locked with `lockLiquidity`
+    address public liquidityFactory;
+
+    /// @notice Account allowed to pause and unpause the contract, managed by the owner
+    address public guardian;
+
+    /**
+     * @dev Kind of release schedule attached to a lock
+     * - Standard: the full amount is released at `unlockDate`
+     * - Vesting: nothing is released before `cliffDate`, then the amount vests
+     *   linearly from `startDate` until `unlockDate`
+     * - Liquidity: a standard lock of LP tokens from `liquidityFactory`, whose
+     *   underlying tokens are recorded in `liquidityPairs`
+     */
+    enum LockType {
+        Standard,
+        Vesting,
+        Liquidity
+    }
+
+    /**
+     * @dev How new locks are charged
+     * - FlatNative: `lockFee` in ETH, accumulated in the contract until `withdrawFees`
+     * - FlatToken: `tokenFeeAmount` of `feeToken`, sent straight to `feeRecipient`
+     * - Percentage: `feeBps` of the locked amount, taken from it before locking. ERC20 cuts are
+     *   sent straight to `feeRecipient`; ETH cuts are accumulated like flat ETH fees
+     */
+    enum FeeMode {
+        FlatNative,
+        FlatToken,
+        Percentage
+    }
+
+    /**
+     * @dev Status filter for lock queries
+     * - Active: not withdrawn and before `unlockDate`
+     * - Unlockable: not withdrawn and at or after `unlockDate`
+     * - Withdrawn: fully withdrawn
+     */
+    enum LockStatus {
+        Active,
+        Unlockable,
+        Withdrawn
+    }
+
+    /**
+     * @dev Underlying tokens of the pair held by a liquidity lock
+     * @param token0 The first token of the pair
+     * @param token1 The second token of the pair
+     */
+    struct LiquidityPair {
+        address token0;
+        address token1;
+    }
+
     /**
      * @dev Structure representing a token lock
      * @param id Unique identifier for the lock
-     * @param token Address of the locked ERC20 token
-     * @param owner Address of the lock owner
+     * @param token Address of the locked ERC20 token, or `NATIVE_TOKEN` for native ETH
+     * @param owner Address of the lock owner, mirrors the holder of the lock NFT
      * @param amount Amount of tokens locked
-     * @param unlockDate Timestamp when tokens can be withdrawn
+     * @param unlockDate Timestamp when tokens can be withdrawn (end of vesting for vesting locks)
      * @param withdrawn Whether the tokens have been withdrawn
+     * @param lockType Release schedule of the lock
+     * @param startDate Timestamp the lock starts vesting from
+     * @param cliffDate Timestamp before which nothing can be withdrawn
+     * @param claimedAmount Amount of tokens already withdrawn from the lock
      */
     struct TokenLock {
         uint256 id;
@@ -52,6 +172,10 @@ contract TokenLocker is ReentrancyGuard, Ownable {
         uint256 amount;
         uint256 unlockDate;
         bool withdrawn;
+        LockType lockType;
+        uint256 startDate;
+        uint256 cliffDate;
+        uint256 claimedAmount;
     }
 
     /// @notice Mapping from lock ID to TokenLock struct
@@ -63,6 +187,33 @@ contract TokenLocker is ReentrancyGuard, Ownable {
     /// @notice Mapping from token address to array of lock IDs for that token
     mapping(address => uint256[]) public tokenLockIds;
 
+    /// @notice Mapping from token address to the amount still owed to its non-withdrawn locks
+    mapping(address => uint256) public tokenTotalLocked;
+
+    /// @notice Mapping from liquidity lock ID to the underlying tokens of its pair
+    mapping(uint256 => LiquidityPair) public liquidityPairs;
+
+    /// @notice Mapping from lock ID to the recipient of its proposed transfer, if any
+    mapping(uint256 => address) public pendingTransfers;
+
+    /// @notice Accounts that lock without paying any fee
+    mapping(address => bool) public feeExemptAccounts;
+
+    /// @notice Tokens that can be locked without paying any fee
+    mapping(address => bool) public feeExemptTokens;
+
+    /// @notice Tokens that can no longer be locked or topped up
+    mapping(address => bool) public blockedTokens;
+
+    /// @dev Mapping from user to token to the amount still owed to the user's locks, read with `getLockedAmount`
+    mapping(address => mapping(address => uint256)) private userTokenLocked;
+
+    /// @dev Position of each lock ID in its owner's `userLockIds` array
+    mapping(uint256 => uint256) private userLockIndex;
+
+    /// @dev Position of each lock ID in its token's `tokenLockIds` array
+    mapping(uint256 => uint256) private tokenLockIndex;
+
     /**
      * @dev Emitted when tokens are locked
      * @param lockId The unique identifier of the lock
@@ -70,16 +221,55 @@ contract TokenLocker is ReentrancyGuard, Ownable {
      * @param token The address of the locked token
      * @param amount The amount of tokens locked
      * @param unlockDate The timestamp when tokens can be withdrawn
-     * @param fee The fee paid for the lock
+     * @param fee The fee paid for the lock, in the unit of the fee mode used
      */
     event TokenLocked(uint256 indexed lockId, address indexed user, address indexed token, uint256 amount, uint256 unlockDate, uint256 fee);
+
+    /**
+     * @dev Emitted once per batch created by `batchLockTokens`, next to a `TokenLocked` event per lock
+     * @param sender The address that funded the batch
+     * @param token The address of the locked token
+     * @param firstLockId The identifier of the first lock of the batch, the others follow sequentially
+     * @param count The number of locks created
+     * @param totalAmount The total amount of tokens locked across the batch
+     * @param fee The fee paid for the whole batch
+     */
+    event BatchLocked(address indexed sender, address indexed token, uint256 firstLockId, uint256 count, uint256 totalAmount, uint256 fee);
+
+    /**
+     * @dev Emitted when a vesting lock is created
+     * @param lockId The unique identifier of the lock
+     * @param startDate The timestamp vesting starts from
+     * @param cliffDate The timestamp before which nothing can be withdrawn
+     * @param endDate The timestamp when the full amount is vested
+     */
+    event VestingLockCreated(uint256 indexed lockId, uint256 startDate, uint256 cliffDate, uint256 endDate);
+    
+    /**
+     * @dev Emitted when a liquidity lock is created, next to `TokenLocked`, or split off
+     * another liquidity lock, next to `LockSplit`
+     * @param lockId The unique identifier of the lock
+     * @param pair The address of the locked LP token
+     * @param token0 The first underlying token of the pair
+     * @param token1 The second underlying token of the pair
+     */
+    event LiquidityLocked(uint256 indexed lockId, address indexed pair, address token0, address token1);
     
     /**
      * @dev Emitted when tokens are withdrawn
      * @param lockId The unique identifier of the lock
-     * @param user The address of the user who withdrew the tokens
+     * @param user The owner of the lock
      */
     event TokenWithdrawn(uint256 indexed lockId, address indexed user);
+
+    /**
+     * @dev Emitted whenever tokens are released from a lock, including partial vesting releases
+     * @param lockId The unique identifier of the lock
+     * @param user The address of the user who received the tokens
+     * @param amount The amount of tokens paid out, below `claimedAmount` when the lock is paid pro rata (see `withdraw`)
+     * @param claimedAmount The amount added to the lock's `claimedAmount`
+     */
+    event TokensReleased(uint256 indexed lockId, address indexed user, uint256 amount, uint256 claimedAmount);
     
     /**
      * @dev Emitted when a lock is transferred to a new owner
@@ -89,6 +279,60 @@ contract TokenLocker is ReentrancyGuard, Ownable {
      */
     event LockTransferred(uint256 indexed lockId, address indexed from, address indexed to);
 
+    /**
+     * @dev Emitted when the owner of a lock proposes a transfer
+     * @param lockId The unique identifier of the lock
+     * @param from The current owner address
+     * @param to The proposed new owner address
+     */
+    event LockTransferProposed(uint256 indexed lockId, address indexed from, address indexed to);
+
+    /**
+     * @dev Emitted when a proposed transfer is accepted by its recipient, next to `LockTransferred`
+     * @param lockId The unique identifier of the lock
+     * @param from The previous owner address
+     * @param to The new owner address
+     */
+    event LockTransferAccepted(uint256 indexed lockId, address indexed from, address indexed to);
+
+    /**
+     * @dev Emitted when the owner of a lock cancels a proposed transfer
+     * @param lockId The unique identifier of the lock
+     * @param to The recipient of the cancelled proposal
+     */
+    event LockTransferCancelled(uint256 indexed lockId, address indexed to);
+
+    /**
+     * @dev Emitted when the unlock date of a lock is pushed further out
+     * @param lockId The unique identifier of the lock
+     * @param oldUnlockDate The previous unlock date
+     * @param newUnlockDate The new unlock date
+     */
+    event LockExtended(uint256 indexed lockId, uint256 oldUnlockDate, uint256 newUnlockDate);
+
+    /**
+     * @dev Emitted when tokens are added to an existing lock
+     * @param lockId The unique identifier of the lock
+     * @param amount The amount of tokens added
+     */
+    event LockToppedUp(uint256 indexed lockId, uint256 amount);
+
+    /**
+     * @dev Emitted for every new lock carved out of an existing lock
+     * @param lockId The unique identifier of the lock that was split
+     * @param newLockId The unique identifier of the new lock
+     * @param amount The amount of tokens moved to the new lock
+     */
+    event LockSplit(uint256 indexed lockId, uint256 indexed newLockId, uint256 amount);
+
+    /**
+     * @dev Emitted for every lock merged into another lock
+     * @param lockId The unique identifier of the lock that absorbed the other
+     * @param mergedLockId The unique identifier of the lock that was merged and removed
+     * @param amount The amount of tokens moved into `lockId`
+     */
+    event LocksMerged(uint256 indexed lockId, uint256 indexed mergedLockId, uint256 amount);
+
     /**
      * @dev Emitted when the lock fee is updated
      * @param oldFee The previous fee amount
@@ -96,234 +340,1329 @@ contract TokenLocker is ReentrancyGuard, Ownable {
      */
     event LockFeeUpdated(uint256 oldFee, uint256 newFee);
 
+    /**
+     * @dev Emitted when the fee mode is updated
+     * @param oldMode The previous fee mode
+     * @param newMode The new fee mode
+     */
+    event FeeModeUpdated(FeeMode oldMode, FeeMode newMode);
+
+    /**
+     * @dev Emitted when the flat ERC20 fee is updated
+     * @param oldToken The previous fee token
+     * @param oldAmount The previous fee amount
+     * @param newToken The new fee token
+     * @param newAmount The new fee amount
+     */
+    event TokenFeeUpdated(address oldToken, uint256 oldAmount, address newToken, uint256 newAmount);
+
+    /**
+     * @dev Emitted when the percentage fee is updated
+     * @param oldBps The previous fee in basis points
+     * @param newBps The new fee in basis points
+     */
+    event FeeBpsUpdated(uint256 oldBps, uint256 newBps);
+
+    /**
+     * @dev Emitted when the fee recipient is updated
+     * @param oldRecipient The previous fee recipient
+     * @param newRecipient The new fee recipient
+     */
+    event FeeRecipientUpdated(address oldRecipient, address newRecipient);
+
+    /**
+     * @dev Emitted when an account is added to or removed from the fee exemptions
+     * @param account The account
+     * @param exempt Whether the account is now exempt
+     */
+    event AccountFeeExemptionUpdated(address indexed account, bool exempt);
+
+    /**
+     * @dev Emitted when a token is added to or removed from the fee exemptions
+     * @param token The token
+     * @param exempt Whether the token is now exempt
+     */
+    event TokenFeeExemptionUpdated(address indexed token, bool exempt);
+
+    /**
+     * @dev Emitted when the factory used to verify liquidity pairs is updated
+     * @param oldFactory The previous factory address
+     * @param newFactory The new factory address
+     */
+    event LiquidityFactoryUpdated(address oldFactory, address newFactory);
+
     /**
      * @dev Emitted when fees are withdrawn by the owner
      * @param amount The amount of ETH withdrawn
-     * @param recipient The address that received the fees
+     * @param recipient The fee recipient that received the fees
      */
     event FeesWithdrawn(uint256 amount, address recipient);
 
     /**
-     * @dev Constructor sets the initial lock fee to 0.0025 ETH
+     * @dev Emitted when the guardian is replaced
+     * @param oldGuardian The previous guardian
+     * @param newGuardian The new guardian
+     */
+    event GuardianUpdated(address oldGuardian, address newGuardian);
+
+    /**
+     * @dev Emitted when a token is added to or removed from the blocklist
+     * @param token The token
+     * @param blocked Whether the token can no longer be locked
+     */
+    event TokenBlocklistUpdated(address indexed token, bool blocked);
+
+    /**
+     * @dev Emitted when tokens sent to the contract outside of a lock are rescued
+     * @param token The rescued token, or `NATIVE_TOKEN`
+     * @param to The address that received the tokens
+     * @param amount The amount rescued
+     */
+    event TokensRescued(address indexed token, address indexed to, uint256 amount);
+
+    /**
+     * @dev Constructor sets the initial lock fee to 0.0025 ETH, the deployer as fee recipient
+     * and guardian, and deploys the metadata descriptor and the query lens
      */
-    constructor() Ownable(msg.sender) {
+    constructor() ERC721("Kitsu Token Lock", "KITSU-LOCK") EIP712("Kitsu TokenLocker", "1") Ownable(msg.sender) {
         lockFee = 0.0025 ether; // 0.0025 ETH in wei
+        feeRecipient = msg.sender;
+        guardian = msg.sender;
+        descriptor = new TokenLockerDescriptor();
+        lens = new TokenLockerLens();
     }
 
     /**
-     * @dev Locks tokens for a specified period of time
-     * @param token The address of the ERC20 token to lock
-     * @param amount The amount of tokens to lock
+     * @dev Locks tokens for a specified period of time.
+     * The lock records the amount actually received, so fee-on-transfer tokens are locked net of their fee.
+     * Native ETH is locked by passing `NATIVE_TOKEN` and sending `amount` on top of any flat ETH fee.
+     * @param token The address of the ERC20 token to lock, or `NATIVE_TOKEN` for native ETH
+     * @param amount The amount of tokens to transfer into the lock
      * @param unlockDate The timestamp when tokens can be withdrawn
+     * @return lockId The identifier of the new lock
      * 
      * Requirements:
      * - `unlockDate` must be in the future
      * - `amount` must be greater than 0
      * - Caller must have approved this contract to spend the tokens
-     * - Caller must send the required fee in ETH
+     * - Caller must pay the fee (see `quoteFee`), plus send the locked amount when locking native ETH; overpaid ETH is refunded
+     * - The contract must not be paused and `token` must not be in `blockedTokens`
      * 
      * @notice This function transfers tokens from the caller to this contract
      */
-    function lockTokens(address token, uint256 amount, uint256 unlockDate) external payable nonReentrant {
+    function lockTokens(address token, uint256 amount, uint256 unlockDate) external payable nonReentrant returns (uint256 lockId) {
         require(unlockDate > block.timestamp, "KITSU_TOKENLOCKER: Unlock date must be in the future");
-        require(amount > 0, "KITSU_TOKENLOCKER: Amount must be > 0");
-        require(msg.value == lockFee, "KITSU_TOKENLOCKER: Incorrect fee amount");
-
-        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        uint256 refund;
+        (lockId, refund) = _createLock(token, amount, LockType.Standard, block.timestamp, unlockDate, unlockDate);
+        _refund(refund);
+    }
 
-        TokenLock memory newLock = TokenLock({
-            id: nextLockId,
-            token: token,
-            owner: msg.sender,
-            amount: amount,
-            unlockDate: unlockDate,
-            withdrawn: false
-        });
+    /**
+     * @dev Locks Uniswap V2 style LP tokens after checking that they are a pair of `liquidityFactory`.
+     * The underlying tokens of the pair are recorded in `liquidityPairs`.
+     * @param pair The address of the LP token to lock
+     * @param amount The amount of LP tokens to transfer into the lock
+     * @param unlockDate The timestamp when the LP tokens can be withdrawn
+     * @return lockId The identifier of the new lock
+     * 
+     * Requirements:
+     * - A liquidity factory must be configured
+     * - `pair` must be the factory's pair for its own `token0` and `token1`
+     * - Same as `lockTokens` otherwise
+     */
+    function lockLiquidity(address pair, uint256 amount, uint256 unlockDate) external payable nonReentrant returns (uint256 lockId) {
+        require(unlockDate > block.timestamp, "KITSU_TOKENLOCKER: Unlock date must be in the future");
+        require(liquidityFactory != address(0), "KITSU_TOKENLOCKER: Liquidity factory not set");
 
-        locks[nextLockId] = newLock;
-        userLockIds[msg.sender].push(nextLockId);
-        tokenLockIds[token].push(nextLockId);
+        address token0 = IUniswapV2Pair(pair).token0();
+        address token1 = IUniswapV2Pair(pair).token1();
+        require(IUniswapV2Factory(liquidityFactory).getPair(token0, token1) == pair, "KITSU_TOKENLOCKER: Not a factory pair");
 
-        emit TokenLocked(nextLockId, msg.sender, token, amount, unlockDate, lockFee);
-        nextLockId++;
+        uint256 refund;
+        (lockId, refund) = _createLock(pair, amount, LockType.Liquidity, block.timestamp, unlockDate, unlockDate);
+        liquidityPairs[lockId] = LiquidityPair(token0, token1);
+        emit LiquidityLocked(lockId, pair, token0, token1);
+        _refund(refund);
     }
 
     /**
-     * @dev Withdraws tokens from a lock after the unlock date has passed
-     * @param lockId The unique identifier of the lock to withdraw from
+     * @dev Locks tokens in a single transaction by consuming an EIP-2612 permit for the token
+     * @param token The address of the ERC20 token to lock, which must support EIP-2612
+     * @param amount The amount of tokens to transfer into the lock
+     * @param unlockDate The timestamp when tokens can be withdrawn
+     * @param deadline The deadline of the permit
+     * @param v The recovery byte of the permit signature
+     * @param r Half of the ECDSA permit signature pair
+     * @param s Half of the ECDSA permit signature pair
+     * @return lockId The identifier of the new lock
      * 
      * Requirements:
-     * - Caller must be the owner of the lock
-     * - Lock must not have been already withdrawn
-     * - Current timestamp must be >= unlock date
+     * - Same as `lockTokens`, with the permit granting this contract an allowance of at least `amount`
      * 
-     * @notice This function transfers tokens from this contract to the lock owner
+     * @notice A failing permit is ignored so that a front-run permit does not block the lock;
+     * the transfer then relies on the existing allowance
      */
-    function withdraw(uint256 lockId) external nonReentrant {
-        TokenLock storage lock = locks[lockId];
-        require(lock.owner == msg.sender, "KITSU_TOKENLOCKER: Not owner");
-        require(!lock.withdrawn, "KITSU_TOKENLOCKER: Already withdrawn");
-        require(block.timestamp >= lock.unlockDate, "KITSU_TOKENLOCKER: Still locked");
+    function lockTokensWithPermit(
+        address token,
+        uint256 amount,
+        uint256 unlockDate,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external payable nonReentrant returns (uint256 lockId) {
+        require(unlockDate > block.timestamp, "KITSU_TOKENLOCKER: Unlock date must be in the future");
+        try IERC20Permit(token).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        uint256 refund;
+        (lockId, refund) = _createLock(token, amount, LockType.Standard, block.timestamp, unlockDate, unlockDate);
+        _refund(refund);
+    }
 
-        lock.withdrawn = true;
-        
-        IERC20(lock.token).safeTransfer(msg.sender, lock.amount);
+    /**
+     * @dev Locks tokens under a vesting schedule: nothing can be withdrawn before `cliffDate`,
+     * after which the amount vests linearly between `startDate` and `endDate`
+     * @param token The address of the ERC20 token to lock
+     * @param amount The amount of tokens to lock
+     * @param startDate The timestamp vesting starts from
+     * @param cliffDate The timestamp before which nothing can be withdrawn
+     * @param endDate The timestamp when the full amount is vested
+     * @return lockId The identifier of the new lock
+     * 
+     * Requirements:
+     * - `endDate` must be in the future
+     * - `startDate` <= `cliffDate` <= `endDate` and `startDate` < `endDate`
+     * - `amount` must be greater than 0
+     * - Caller must have approved this contract to spend the tokens
+     * - Caller must pay the fee (see `quoteFee`), plus send the locked amount when locking native ETH; overpaid ETH is refunded
+     * - The contract must not be paused and `token` must not be in `blockedTokens`
+     * 
+     * @notice This function transfers tokens from the caller to this contract
+     */
+    function lockVestingTokens(
+        address token,
+        uint256 amount,
+        uint256 startDate,
+        uint256 cliffDate,
+        uint256 endDate
+    ) external payable nonReentrant returns (uint256 lockId) {
+        require(endDate > block.timestamp, "KITSU_TOKENLOCKER: Unlock date must be in the future");
+        require(startDate < endDate, "KITSU_TOKENLOCKER: Start must be before end");
+        require(cliffDate >= startDate && cliffDate <= endDate, "KITSU_TOKENLOCKER: Cliff out of range");
 
-        emit TokenWithdrawn(lockId, msg.sender);
+        uint256 refund;
+        (lockId, refund) = _createLock(token, amount, LockType.Vesting, startDate, cliffDate, endDate);
+        emit VestingLockCreated(lockId, startDate, cliffDate, endDate);
+        _refund(refund);
     }
 
     /**
-     * @dev Transfers ownership of a lock to a new address
-     * @param lockId The unique identifier of the lock to transfer
-     * @param newOwner The address to transfer ownership to
+     * @dev Locks tokens for many beneficiaries, pulling the total in a single transfer.
+     * One lock is created per beneficiary and owned by that beneficiary.
+     *
+     * Fee rule: a batch pays a single flat fee, whatever its size, or the percentage fee on its
+     * total. The fee is reported on the `TokenLocked` event of the first lock of the batch and as
+     * 0 on the others.
+     *
+     * With fee-on-transfer tokens the amount actually received is shared pro rata between the
+     * locks, and any rounding dust is added to the last lock. The batch reverts if an entry's
+     * share rounds down to zero.
+     * @param token The address of the ERC20 token to lock
+     * @param beneficiaries The owners of the new locks
+     * @param amounts The amount of tokens to lock for each beneficiary
+     * @param unlockDates The unlock date of each lock
+     * @return lockIds The identifiers of the newly created locks, in input order
      * 
      * Requirements:
-     * - `newOwner` must not be the zero address
-     * - Caller must be the current owner of the lock
-     * - Lock must not have been already withdrawn
+     * - The three arrays must be non-empty and of the same length
+     * - Every beneficiary must be a non-zero address
+     * - Every amount must be greater than 0
+     * - Every unlock date must be in the future
+     * - Caller must have approved this contract to spend the sum of `amounts`
+     * - Caller must pay the fee (see `quoteFee`); overpaid ETH is refunded
+     * - The contract must not be paused and `token` must not be in `blockedTokens`
      * 
-     * @notice This function only transfers ownership, not the actual tokens
+     * @notice The whole batch reverts if any entry is invalid
      */
-    function transferLock(uint256 lockId, address newOwner) external {
-        require(newOwner != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
-        TokenLock storage lock = locks[lockId];
-        require(lock.owner == msg.sender, "KITSU_TOKENLOCKER: Not owner");
-        require(!lock.withdrawn, "KITSU_TOKENLOCKER: Already withdrawn");
+    function batchLockTokens(
+        address token,
+        address[] calldata beneficiaries,
+        uint256[] calldata amounts,
+        uint256[] calldata unlockDates
+    ) external payable nonReentrant returns (uint256[] memory lockIds) {
+        uint256 count = beneficiaries.length;
+        require(count > 0, "KITSU_TOKENLOCKER: Empty array");
+        require(amounts.length == count && unlockDates.length == count, "KITSU_TOKENLOCKER: Array length mismatch");
+        _requireLockable(token);
+        uint256 total;
+        for (uint256 i = 0; i < count; i++) {
+            require(beneficiaries[i] != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+            require(amounts[i] > 0, "KITSU_TOKENLOCKER: Amount must be > 0");
+            require(unlockDates[i] > block.timestamp, "KITSU_TOKENLOCKER: Unlock date must be in the future");
+            total += amounts[i];
+        }
 
-        address previousOwner = lock.owner;
-        lock.owner = newOwner;
-        
-        // Remove lockId from previous owner's array
-        uint256[] storage previousOwnerLocks = userLockIds[previousOwner];
-        for (uint256 i = 0; i < previousOwnerLocks.length; i++) {
-            if (previousOwnerLocks[i] == lockId) {
-                // Replace with the last element and pop
-                previousOwnerLocks[i] = previousOwnerLocks[previousOwnerLocks.length - 1];
-                previousOwnerLocks.pop();
-                break;
-            }
+        (uint256 fee, uint256 principal, uint256 refund) = _collectFee(token, total);
+        uint256 received = _pullTokens(token, principal);
+
+        lockIds = new uint256[](count);
+        uint256 allocated;
+        for (uint256 i = 0; i < count; i++) {
+            uint256 amount = i == count - 1 ? received - allocated : (amounts[i] * received) / total;
+            require(amount > 0, "KITSU_TOKENLOCKER: Amount must be > 0");
+            allocated += amount;
+
+            lockIds[i] = _storeLock(TokenLock({
+                id: 0,
+                token: token,
+                owner: beneficiaries[i],
+                amount: amount,
+                unlockDate: unlockDates[i],
+                withdrawn: false,
+                lockType: LockType.Standard,
+                startDate: block.timestamp,
+                cliffDate: unlockDates[i],
+                claimedAmount: 0
+            }));
+
+            emit TokenLocked(lockIds[i], beneficiaries[i], token, amount, unlockDates[i], i == 0 ? fee : 0);
         }
-        
-        // Add lockId to new owner's array
-        userLockIds[newOwner].push(lockId);
 
-        emit LockTransferred(lockId, previousOwner, newOwner);
+        emit BatchLocked(msg.sender, token, lockIds[0], count, received, fee);
+        _refund(refund);
     }
 
     /**
-     * @dev Returns all lock IDs for a specific user
-     * @param user The address of the user
-     * @return Array of lock IDs owned by the user
+     * @dev Withdraws tokens from a lock after the unlock date has passed.
+     * For vesting locks only the vested but unclaimed portion is released; the lock is
+     * marked as withdrawn once its full amount has been claimed.
+     * @param lockId The unique identifier of the lock to withdraw from
+     * 
+     * Requirements:
+     * - Caller must be the owner of the lock, or approved for it (`approve` or `setApprovalForAll`)
+     * - Lock must not have been already withdrawn
+     * - Current timestamp must be >= unlock date (>= cliff date for vesting locks)
+     * 
+     * @notice This function transfers tokens from this contract to the lock owner, also when
+     * called by an operator. If the contract holds less of the token than its locks are owed
+     * (e.g. after a negative rebase), the lock is paid its pro rata share of the balance.
      */
-    function getUserLocks(address user) external view returns (uint256[] memory) {
-        return userLockIds[user];
+    function withdraw(uint256 lockId) external nonReentrant {
+        _withdraw(lockId, _authorizedLock(lockId).owner);
     }
 
     /**
-     * @dev Returns all lock IDs for a specific token
-     * @param token The address of the token
-     * @return Array of lock IDs for the specified token
+     * @dev Withdraws tokens from a lock to `recipient`, so that an operator or the owner can
+     * route the released tokens to a vault or treasury
+     * @param lockId The unique identifier of the lock to withdraw from
+     * @param recipient The address receiving the released tokens
+     * 
+     * Requirements:
+     * - `recipient` must not be the zero address
+     * - Same as `withdraw(uint256)` otherwise
      */
-    function getTokenLocks(address token) external view returns (uint256[] memory) {
-        return tokenLockIds[token];
+    function withdraw(uint256 lockId, address recipient) external nonReentrant {
+        require(recipient != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+        _authorizedLock(lockId);
+        _withdraw(lockId, recipient);
     }
 
     /**
-     * @dev Returns the complete TokenLock struct for a specific lock ID
-     * @param lockId The unique identifier of the lock
-     * @return The TokenLock struct containing all lock information
+     * @dev Withdraws tokens from a lock on behalf of its owner using an EIP-712 signature,
+     * so that a relayer can pay for the transaction. Tokens are always sent to the lock owner.
+     * @param lockId The unique identifier of the lock to withdraw from
+     * @param deadline The timestamp after which the signature expires
+     * @param signature The owner's signature of `Withdraw(lockId, nonce, deadline)`
+     * 
+     * Requirements:
+     * - `deadline` must not have passed
+     * - `signature` must be signed by the lock owner with their current nonce
+     * - Same as `withdraw` otherwise
      */
-    function getLock(uint256 lockId) external view returns (TokenLock memory) {
-        return locks[lockId];
+    function withdrawBySig(uint256 lockId, uint256 deadline, bytes calldata signature) external nonReentrant {
+        address lockOwner = locks[lockId].owner;
+        _verifySignature(lockOwner, keccak256(abi.encode(WITHDRAW_TYPEHASH, lockId, _useNonce(lockOwner), deadline)), deadline, signature);
+        _withdraw(lockId, lockOwner);
     }
 
     /**
-     * @dev Returns the total amount of tokens locked by a user for a specific token
-     * @param user The address of the user
-     * @param token The address of the token
-     * @return total The total amount of tokens locked (excluding withdrawn locks)
-     */
-    function getLockedAmount(address user, address token) external view returns (uint256 total) {
-        uint256[] memory ids = userLockIds[user];
-        for (uint i = 0; i < ids.length; i++) {
-            TokenLock storage l = locks[ids[i]];
-            if (l.token == token && !l.withdrawn) {
-                total += l.amount;
-            }
-        }
+     * @dev Returns the amount of tokens that can currently be withdrawn from a lock
+     * @param lockId The unique identifier of the lock
+     * @return The tokens paid for the vested but not yet claimed amount (zero while locked or once withdrawn)
+     */
+    function withdrawable(uint256 lockId) external view returns (uint256) {
+        TokenLock storage lock = locks[lockId];
+        return _payout(lock.token, _releasable(lock));
     }
 
     /**
-     * @dev Returns all active locks for a user (non-withdrawn and not yet expired)
-     * @param user The address of the user
-     * @return Array of TokenLock structs for active locks
+     * @dev Transfers ownership of a lock to a new address
+     * @param lockId The unique identifier of the lock to transfer
+     * @param newOwner The address to transfer ownership to
+     * 
+     * Requirements:
+     * - `newOwner` must not be the zero address
+     * - Caller must be the current owner of the lock, or approved for it
+     * - Lock must not have been already withdrawn
+     * - The contract must not be paused
+     * - A contract `newOwner` must accept the lock through `IERC721Receiver.onERC721Received`
+     * 
+     * @notice This function only transfers ownership, not the actual tokens. It is equivalent to
+     * an ERC-721 `safeTransferFrom` by the lock owner or an operator, and clears the lock's approval.
      */
-    function getActiveLocks(address user) external view returns (TokenLock[] memory) {
-        uint256[] memory ids = userLockIds[user];
-        uint256 count;
-        for (uint i = 0; i < ids.length; i++) {
-            TokenLock storage l = locks[ids[i]];
-            if (!l.withdrawn && block.timestamp < l.unlockDate) count++;
-        }
+    function transferLock(uint256 lockId, address newOwner) external {
+        require(newOwner != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+        TokenLock storage lock = _authorizedLock(lockId);
+        require(!lock.withdrawn, "KITSU_TOKENLOCKER: Already withdrawn");
 
-        TokenLock[] memory result = new TokenLock[](count);
-        uint256 idx;
-        for (uint i = 0; i < ids.length; i++) {
-            TokenLock storage l = locks[ids[i]];
-            if (!l.withdrawn && block.timestamp < l.unlockDate) {
-                result[idx] = l;
-                idx++;
-            }
-        }
-        return result;
+        _safeTransfer(lock.owner, newOwner, lockId, "");
     }
 
     /**
-     * @dev Updates the lock fee
-     * @param newFee The new fee amount in wei
+     * @dev Proposes to transfer a lock; ownership only moves once `newOwner` accepts.
+     * A new proposal replaces the previous one.
+     * @param lockId The unique identifier of the lock to transfer
+     * @param newOwner The address that must accept the transfer
      * 
      * Requirements:
-     * - Caller must be the contract owner
-     * 
-     * @notice Only the contract owner can update the lock fee
+     * - `newOwner` must not be the zero address
+     * - Caller must be the current owner of the lock
+     * - Lock must not have been already withdrawn
      */
-    function updateLockFee(uint256 newFee) external onlyOwner {
-        uint256 oldFee = lockFee;
-        lockFee = newFee;
-        emit LockFeeUpdated(oldFee, newFee);
+    function proposeLockTransfer(uint256 lockId, address newOwner) external {
+        require(newOwner != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+        _ownedLock(lockId);
+
+        pendingTransfers[lockId] = newOwner;
+        emit LockTransferProposed(lockId, msg.sender, newOwner);
     }
 
     /**
-     * @dev Withdraws accumulated fees to the owner
+     * @dev Accepts a proposed lock transfer, moving ownership to the caller
+     * @param lockId The unique identifier of the lock to accept
      * 
      * Requirements:
-     * - Caller must be the contract owner
-     * - Contract must have ETH balance to withdraw
-     * 
-     * @notice Only the contract owner can withdraw accumulated fees
+     * - Caller must be the recipient of the pending proposal
+     * - Lock must not have been already withdrawn
+     * - The contract must not be paused
+     * - A contract caller must accept the lock through `IERC721Receiver.onERC721Received`
      */
-    function withdrawFees() external onlyOwner {
-        uint256 fees = address(this).balance;
-        require(fees > 0, "KITSU_TOKENLOCKER: No fees to withdraw");
-        
-        (bool success, ) = owner().call{value: fees}("");
-        require(success, "KITSU_TOKENLOCKER: Fee withdrawal failed");
-        emit FeesWithdrawn(fees, owner());
+    function acceptLockTransfer(uint256 lockId) external {
+        require(pendingTransfers[lockId] == msg.sender, "KITSU_TOKENLOCKER: Not pending recipient");
+
+        address previousOwner = locks[lockId].owner;
+        _safeTransfer(previousOwner, msg.sender, lockId, "");
+        emit LockTransferAccepted(lockId, previousOwner, msg.sender);
     }
 
     /**
-     * @dev Returns the current lock fee
-     * @return The current lock fee in wei
+     * @dev Cancels the pending transfer proposal of a lock
+     * @param lockId The unique identifier of the lock
+     * 
+     * Requirements:
+     * - Caller must be the current owner of the lock
+     * - The lock must have a pending proposal
      */
-    function getLockFee() external view returns (uint256) {
-        return lockFee;
+    function cancelLockTransfer(uint256 lockId) external {
+        require(locks[lockId].owner == msg.sender, "KITSU_TOKENLOCKER: Not owner");
+        address pendingOwner = pendingTransfers[lockId];
+        require(pendingOwner != address(0), "KITSU_TOKENLOCKER: No pending transfer");
+
+        delete pendingTransfers[lockId];
+        emit LockTransferCancelled(lockId, pendingOwner);
     }
 
     /**
-     * @dev Returns the total fees accumulated in the contract
-     * @return The total ETH balance of the contract
-     */
-    function getAccumulatedFees() external view returns (uint256) {
-        return address(this).balance;
+     * @dev Transfers ownership of a lock on behalf of its owner using an EIP-712 signature,
+     * so that a relayer can pay for the transaction
+     * @param lockId The unique identifier of the lock to transfer
+     * @param newOwner The address to transfer ownership to
+     * @param deadline The timestamp after which the signature expires
+     * @param signature The owner's signature of `TransferLock(lockId, newOwner, nonce, deadline)`
+     * 
+     * Requirements:
+     * - `newOwner` must not be the zero address
+     * - `deadline` must not have passed
+     * - `signature` must be signed by the lock owner with their current nonce
+     * - Lock must not have been already withdrawn
+     * - The contract must not be paused
+     * - A contract `newOwner` must accept the lock through `IERC721Receiver.onERC721Received`
+     */
+    function transferLockBySig(uint256 lockId, address newOwner, uint256 deadline, bytes calldata signature) external {
+        require(newOwner != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+        address lockOwner = locks[lockId].owner;
+        _verifySignature(
+            lockOwner,
+            keccak256(abi.encode(TRANSFER_LOCK_TYPEHASH, lockId, newOwner, _useNonce(lockOwner), deadline)),
+            deadline,
+            signature
+        );
+
+        _safeTransfer(lockOwner, newOwner, lockId, "");
+    }
+
+    /**
+     * @dev Returns the metadata URI of a lock NFT, rendered fully on-chain
+     * @param lockId The unique identifier of the lock
+     * @return A data URI with the JSON metadata and SVG image of the lock
+     */
+    function tokenURI(uint256 lockId) public view override returns (string memory) {
+        _requireOwned(lockId);
+        return descriptor.tokenURI(this, lockId);
+    }
+
+    /**
+     * @dev ERC-721 `transferFrom`, which here also requires a contract recipient to accept the lock
+     * through `IERC721Receiver.onERC721Received`, so that a lock can never reach a contract that
+     * cannot handle it, such as a TokenLockerSplitter receiving a lock without shares
+     */
+    function transferFrom(address from, address to, uint256 lockId) public override {
+        safeTransferFrom(from, to, lockId, "");
+    }
+
+    /**
+     * @dev ERC-721 `safeTransferFrom`, passing `data` to a contract recipient
+     */
+    function safeTransferFrom(address from, address to, uint256 lockId, bytes memory data) public override {
+        super.transferFrom(from, to, lockId);
+        ERC721Utils.checkOnERC721Received(_msgSender(), from, to, lockId, data);
+    }
+
+    /**
+     * @dev Pushes the unlock date of a lock further out
+     * @param lockId The unique identifier of the lock to extend
+     * @param newUnlockDate The new unlock date (end of vesting for vesting locks)
+     * 
+     * Requirements:
+     * - Caller must be the owner of the lock
+     * - Lock must not have been already withdrawn
+     * - `newUnlockDate` must be later than the current unlock date and in the future
+     */
+    function extendLock(uint256 lockId, uint256 newUnlockDate) external {
+        TokenLock storage lock = _ownedLock(lockId);
+        uint256 oldUnlockDate = lock.unlockDate;
+        require(newUnlockDate > oldUnlockDate, "KITSU_TOKENLOCKER: Unlock date can only be extended");
+        require(newUnlockDate > block.timestamp, "KITSU_TOKENLOCKER: Unlock date must be in the future");
+
+        lock.unlockDate = newUnlockDate;
+        if (lock.lockType != LockType.Vesting) {
+            lock.cliffDate = newUnlockDate;
+        }
+
+        emit LockExtended(lockId, oldUnlockDate, newUnlockDate);
+    }
+
+    /**
+     * @dev Adds tokens to an existing lock without paying the lock fee again
+     * @param lockId The unique identifier of the lock to top up
+     * @param amount The amount of tokens to transfer into the lock
+     * 
+     * Requirements:
+     * - Caller must be the owner of the lock
+     * - Lock must not have been already withdrawn
+     * - `amount` must be greater than 0
+     * - Caller must have approved this contract to spend the tokens
+     * - Caller must send exactly `amount` in ETH for native ETH locks, and nothing otherwise
+     * - The contract must not be paused and the lock token must not be in `blockedTokens`
+     */
+    function topUpLock(uint256 lockId, uint256 amount) external payable nonReentrant {
+        TokenLock storage lock = _ownedLock(lockId);
+        require(amount > 0, "KITSU_TOKENLOCKER: Amount must be > 0");
+        require(msg.value == (lock.token == NATIVE_TOKEN ? amount : 0), "KITSU_TOKENLOCKER: Incorrect ETH amount");
+        _requireLockable(lock.token);
+
+        uint256 received = _pullTokens(lock.token, amount);
+        lock.amount += received;
+        userTokenLocked[msg.sender][lock.token] += received;
+
+        emit LockToppedUp(lockId, received);
+    }
+
+    /**
+     * @dev Splits a standard or liquidity lock into several locks with the same token, type, owner and unlock date
+     * @param lockId The unique identifier of the lock to split
+     * @param amounts The amounts moved to each new lock; the remainder stays in `lockId`
+     * @return newLockIds The identifiers of the newly created locks
+     * 
+     * Requirements:
+     * - The contract must not be paused
+     * - Caller must be the owner of the lock
+     * - Lock must not have been already withdrawn
+     * - Lock must not be a vesting lock
+     * - Every amount must be greater than 0 and their sum lower than the lock amount
+     */
+    function splitLock(uint256 lockId, uint256[] calldata amounts) external returns (uint256[] memory newLockIds) {
+        _requireNotPaused();
+        TokenLock storage lock = _ownedLock(lockId);
+        require(lock.lockType != LockType.Vesting, "KITSU_TOKENLOCKER: Vesting locks not supported");
+        require(amounts.length > 0, "KITSU_TOKENLOCKER: Empty array");
+
+        TokenLock memory template = lock;
+        newLockIds = new uint256[](amounts.length);
+        uint256 total;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            require(amounts[i] > 0, "KITSU_TOKENLOCKER: Amount must be > 0");
+            total += amounts[i];
+
+            template.amount = amounts[i];
+            newLockIds[i] = _storeLock(template);
+            emit LockSplit(lockId, newLockIds[i], amounts[i]);
+            if (template.lockType == LockType.Liquidity) {
+                LiquidityPair memory pair = liquidityPairs[lockId];
+                liquidityPairs[newLockIds[i]] = pair;
+                emit LiquidityLocked(newLockIds[i], template.token, pair.token0, pair.token1);
+            }
+        }
+        require(total < lock.amount, "KITSU_TOKENLOCKER: Split exceeds lock amount");
+
+        lock.amount -= total;
+        // The new locks were credited to the owner when minted
+        userTokenLocked[msg.sender][lock.token] -= total;
+    }
+
+    /**
+     * @dev Merges standard or liquidity locks of the same token, type and owner into the first lock of the list.
+     * The merged lock unlocks at the latest unlock date of the group; the other locks are removed.
+     * @param lockIds The unique identifiers of the locks to merge, the first one absorbs the others
+     * 
+     * Requirements:
+     * - At least two locks
+     * - Caller must be the owner of every lock
+     * - No lock may have been withdrawn
+     * - All locks must be non-vesting locks of the same token and type
+     */
+    function mergeLocks(uint256[] calldata lockIds) external {
+        require(lockIds.length > 1, "KITSU_TOKENLOCKER: Nothing to merge");
+        TokenLock storage target = _ownedLock(lockIds[0]);
+        require(target.lockType != LockType.Vesting, "KITSU_TOKENLOCKER: Vesting locks not supported");
+
+        for (uint256 i = 1; i < lockIds.length; i++) {
+            require(lockIds[i] != lockIds[0], "KITSU_TOKENLOCKER: Duplicate lock");
+            TokenLock storage lock = _ownedLock(lockIds[i]);
+            require(lock.token == target.token, "KITSU_TOKENLOCKER: Token mismatch");
+            require(lock.lockType == target.lockType, "KITSU_TOKENLOCKER: Lock type mismatch");
+
+            uint256 amount = lock.amount;
+            target.amount += amount;
+            // Burning the merged lock debits its amount from the owner
+            userTokenLocked[msg.sender][target.token] += amount;
+            if (lock.unlockDate > target.unlockDate) {
+                target.unlockDate = lock.unlockDate;
+                target.cliffDate = lock.unlockDate;
+            }
+
+            _removeLockId(tokenLockIds[target.token], tokenLockIndex, lockIds[i]);
+            _burn(lockIds[i]);
+            delete locks[lockIds[i]];
+            delete liquidityPairs[lockIds[i]];
+            delete pendingTransfers[lockIds[i]];
+
+            emit LocksMerged(lockIds[0], lockIds[i], amount);
+        }
+    }
+
+    /**
+     * @dev Returns all lock IDs for a specific user
+     * @param user The address of the user
+     * @return Array of lock IDs owned by the user
+     * @notice Unbounded, prefer `getUserLocksPaginated` for users with many locks
+     */
+    function getUserLocks(address user) external view returns (uint256[] memory) {
+        return userLockIds[user];
+    }
+
+    /**
+     * @dev Returns a page of the lock IDs of a specific user
+     * @param user The address of the user
+     * @param offset The index of the first lock ID to return
+     * @param limit The maximum number of lock IDs to return
+     * @return Array of at most `limit` lock IDs owned by the user
+     */
+    function getUserLocksPaginated(address user, uint256 offset, uint256 limit) external view returns (uint256[] memory) {
+        return _paginate(userLockIds[user], offset, limit);
+    }
+
+    /**
+     * @dev Returns the number of locks owned by a user, to be used with the paginated queries
+     * @param user The address of the user
+     * @return The length of the user's lock list
+     */
+    function getUserLockCount(address user) external view returns (uint256) {
+        return userLockIds[user].length;
+    }
+
+    /**
+     * @dev Returns all lock IDs for a specific token
+     * @param token The address of the token
+     * @return Array of lock IDs for the specified token
+     * @notice Unbounded, prefer `getTokenLocksPaginated` for popular tokens
+     */
+    function getTokenLocks(address token) external view returns (uint256[] memory) {
+        return tokenLockIds[token];
+    }
+
+    /**
+     * @dev Returns a page of the lock IDs of a specific token
+     * @param token The address of the token
+     * @param offset The index of the first lock ID to return
+     * @param limit The maximum number of lock IDs to return
+     * @return Array of at most `limit` lock IDs for the specified token
+     */
+    function getTokenLocksPaginated(address token, uint256 offset, uint256 limit) external view returns (uint256[] memory) {
+        return _paginate(tokenLockIds[token], offset, limit);
+    }
+
+    /**
+     * @dev Returns the number of locks of a token, to be used with the paginated queries
+     * @param token The address of the token
+     * @return The length of the token's lock list
+     */
+    function getTokenLockCount(address token) external view returns (uint256) {
+        return tokenLockIds[token].length;
+    }
+
+    /**
+     * @dev Returns the locks of a user with the given status, scanning one page of the user's lock list
+     * @param user The address of the user
+     * @param status The status to filter on
+     * @param offset The index of the first lock of the user's list to scan
+     * @param limit The maximum number of locks to scan
+     * @return Array of the matching TokenLock structs within the scanned page
+     */
+    function getUserLocksByStatus(
+        address user,
+        LockStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (TokenLock[] memory) {
+        return lens.getUserLocksByStatus(user, status, offset, limit);
+    }
+
+    /**
+     * @dev Returns the locks of a token with the given status, scanning one page of the token's lock list
+     * @param token The address of the token
+     * @param status The status to filter on
+     * @param offset The index of the first lock of the token's list to scan
+     * @param limit The maximum number of locks to scan
+     * @return Array of the matching TokenLock structs within the scanned page
+     */
+    function getTokenLocksByStatus(
+        address token,
+        LockStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (TokenLock[] memory) {
+        return lens.getTokenLocksByStatus(token, status, offset, limit);
+    }
+
+    /**
+     * @dev Returns the complete TokenLock struct for a specific lock ID
+     * @param lockId The unique identifier of the lock
+     * @return The TokenLock struct containing all lock information
+     */
+    function getLock(uint256 lockId) external view returns (TokenLock memory) {
+        return locks[lockId];
+    }
+
+    /**
+     * @dev Returns the total amount of tokens locked by a user for a specific token
+     * @param user The address of the user
+     * @param token The address of the token
+     * @return The total amount of tokens locked (excluding withdrawn locks and claimed vesting releases)
+     */
+    function getLockedAmount(address user, address token) external view returns (uint256) {
+        return userTokenLocked[user][token];
+    }
+
+    /**
+     * @dev Returns how much of a pair's LP supply is held by locks in this contract
+     * @param pair The address of the LP token
+     * @return locked The amount of LP tokens owed to non-withdrawn locks
+     * @return totalSupply The total LP token supply
+     * @return shareBps The locked share of the supply in basis points (`BPS_DENOMINATOR` = 100%)
+     */
+    function getLockedLiquidityShare(address pair) external view returns (uint256 locked, uint256 totalSupply, uint256 shareBps) {
+        locked = tokenTotalLocked[pair];
+        totalSupply = IERC20(pair).totalSupply();
+        shareBps = totalSupply == 0 ? 0 : (locked * BPS_DENOMINATOR) / totalSupply;
+    }
+
+    /**
+     * @dev Returns all active locks for a user (non-withdrawn and not yet expired)
+     * @param user The address of the user
+     * @return Array of TokenLock structs for active locks
+     * @notice Unbounded, prefer `getUserLocksByStatus` for users with many locks
+     */
+    function getActiveLocks(address user) external view returns (TokenLock[] memory) {
+        return lens.getActiveLocks(user);
+    }
+
+    /**
+     * @dev Updates the lock fee
+     * @param newFee The new fee amount in wei
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     * - The contract must not be paused
+     * 
+     * @notice Only the contract owner can update the lock fee
+     */
+    function updateLockFee(uint256 newFee) external onlyOwner whenNotPaused {
+        uint256 oldFee = lockFee;
+        lockFee = newFee;
+        emit LockFeeUpdated(oldFee, newFee);
+    }
+
+    /**
+     * @dev Selects how new locks are charged
+     * @param newMode The new fee mode
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     * - The contract must not be paused
+     */
+    function setFeeMode(FeeMode newMode) external onlyOwner whenNotPaused {
+        FeeMode oldMode = feeMode;
+        feeMode = newMode;
+        emit FeeModeUpdated(oldMode, newMode);
+    }
+
+    /**
+     * @dev Updates the flat ERC20 fee charged in `FeeMode.FlatToken`
+     * @param newToken The ERC20 token the fee is paid in
+     * @param newAmount The fee amount, in `newToken` units
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     * - The contract must not be paused
+     * - `newToken` must not be the zero address
+     */
+    function setTokenFee(address newToken, uint256 newAmount) external onlyOwner whenNotPaused {
+        require(newToken != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+        emit TokenFeeUpdated(feeToken, tokenFeeAmount, newToken, newAmount);
+        feeToken = newToken;
+        tokenFeeAmount = newAmount;
+    }
+
+    /**
+     * @dev Updates the share of the locked amount charged in `FeeMode.Percentage`
+     * @param newBps The new fee in basis points
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     * - The contract must not be paused
+     * - `newBps` must not exceed `MAX_FEE_BPS`
+     */
+    function setFeeBps(uint256 newBps) external onlyOwner whenNotPaused {
+        require(newBps <= MAX_FEE_BPS, "KITSU_TOKENLOCKER: Fee too high");
+        uint256 oldBps = feeBps;
+        feeBps = newBps;
+        emit FeeBpsUpdated(oldBps, newBps);
+    }
+
+    /**
+     * @dev Updates the address receiving fees
+     * @param newRecipient The new fee recipient
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     * - The contract must not be paused
+     * - `newRecipient` must not be the zero address
+     */
+    function setFeeRecipient(address newRecipient) external onlyOwner whenNotPaused {
+        require(newRecipient != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+        address oldRecipient = feeRecipient;
+        feeRecipient = newRecipient;
+        emit FeeRecipientUpdated(oldRecipient, newRecipient);
+    }
+
+    /**
+     * @dev Exempts an account from, or subjects it again to, lock fees
+     * @param account The account
+     * @param exempt Whether the account locks for free
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     * - The contract must not be paused
+     */
+    function setAccountFeeExemption(address account, bool exempt) external onlyOwner whenNotPaused {
+        feeExemptAccounts[account] = exempt;
+        emit AccountFeeExemptionUpdated(account, exempt);
+    }
+
+    /**
+     * @dev Exempts a token from, or subjects it again to, lock fees
+     * @param token The token, or `NATIVE_TOKEN`
+     * @param exempt Whether the token is locked for free
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     * - The contract must not be paused
+     */
+    function setTokenFeeExemption(address token, bool exempt) external onlyOwner whenNotPaused {
+        feeExemptTokens[token] = exempt;
+        emit TokenFeeExemptionUpdated(token, exempt);
+    }
+
+    /**
+     * @dev Sets the Uniswap V2 style factory whose pairs can be locked with `lockLiquidity`
+     * @param newFactory The address of the factory, or the zero address to disable liquidity locks
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     */
+    function setLiquidityFactory(address newFactory) external onlyOwner {
+        address oldFactory = liquidityFactory;
+        liquidityFactory = newFactory;
+        emit LiquidityFactoryUpdated(oldFactory, newFactory);
+    }
+
+    /**
+     * @dev Replaces the guardian
+     * @param newGuardian The account allowed to pause and unpause the contract
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     * - `newGuardian` must not be the zero address
+     */
+    function setGuardian(address newGuardian) external onlyOwner {
+        require(newGuardian != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+        address oldGuardian = guardian;
+        guardian = newGuardian;
+        emit GuardianUpdated(oldGuardian, newGuardian);
+    }
+
+    /**
+     * @dev Pauses new locks, top-ups, lock transfers and fee changes. Withdrawals, including
+     * `withdrawBySig` and `withdrawFees`, keep working so that funds are never trapped.
+     * 
+     * Requirements:
+     * - Caller must be the guardian
+     * - The contract must not be paused
+     */
+    function pause() external {
+        require(msg.sender == guardian, "KITSU_TOKENLOCKER: Not guardian");
+        _pause();
+    }
+
+    /**
+     * @dev Lifts the pause
+     * 
+     * Requirements:
+     * - Caller must be the guardian
+     * - The contract must be paused
+     */
+    function unpause() external {
+        require(msg.sender == guardian, "KITSU_TOKENLOCKER: Not guardian");
+        _unpause();
+    }
+
+    /**
+     * @dev Adds a token to, or removes it from, the blocklist. Existing locks of a blocked token
+     * can still be withdrawn, transferred and managed, but not topped up.
+     * @param token The token, or `NATIVE_TOKEN`
+     * @param blocked Whether new locks of the token are rejected
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     */
+    function setTokenBlocked(address token, bool blocked) external onlyOwner {
+        blockedTokens[token] = blocked;
+        emit TokenBlocklistUpdated(token, blocked);
+    }
+
+    /**
+     * @dev Withdraws accumulated ETH fees to `feeRecipient`. ETH held by native ETH locks is never touched.
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     * - Contract must have accumulated fees to withdraw
+     * 
+     * @notice Only the contract owner can withdraw accumulated fees
+     */
+    function withdrawFees() external onlyOwner {
+        uint256 fees = accumulatedFees;
+        require(fees > 0, "KITSU_TOKENLOCKER: No fees to withdraw");
+        accumulatedFees = 0;
+        
+        (bool success, ) = feeRecipient.call{value: fees}("");
+        require(success, "KITSU_TOKENLOCKER: Fee withdrawal failed");
+        emit FeesWithdrawn(fees, feeRecipient);
+    }
+
+    /**
+     * @dev Sends tokens that reached the contract without being locked, such as direct transfers,
+     * to `to`. At most `rescuableAmount` is ever moved, so locks and accumulated ETH fees stay
+     * fully backed.
+     * @param token The token to rescue, or `NATIVE_TOKEN`
+     * @param to The address receiving the tokens
+     * @param amount The amount to rescue
+     * 
+     * Requirements:
+     * - Caller must be the contract owner
+     * - `to` must not be the zero address
+     * - `amount` must not exceed `rescuableAmount(token)`
+     */
+    function rescueTokens(address token, address to, uint256 amount) external onlyOwner {
+        require(to != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+        require(amount <= rescuableAmount(token), "KITSU_TOKENLOCKER: Not rescuable");
+
+        _pushTokens(token, to, amount);
+        emit TokensRescued(token, to, amount);
+    }
+
+    /**
+     * @dev Returns the balance of a token held by the contract that no lock is owed
+     * @param token The token, or `NATIVE_TOKEN`
+     * @return The balance above `tokenTotalLocked(token)`, minus `accumulatedFees` for native ETH
+     */
+    function rescuableAmount(address token) public view returns (uint256) {
+        uint256 balance = token == NATIVE_TOKEN ? address(this).balance : IERC20(token).balanceOf(address(this));
+        uint256 owed = token == NATIVE_TOKEN ? tokenTotalLocked[token] + accumulatedFees : tokenTotalLocked[token];
+        return balance > owed ? balance - owed : 0;
+    }
+
+    /**
+     * @dev Returns the current lock fee
+     * @return The current lock fee in wei
+     */
+    function getLockFee() external view returns (uint256) {
+        return lockFee;
+    }
+
+    /**
+     * @dev Returns the fee `account` pays to lock `amount` of `token` under the current fee mode
+     * @param account The account creating the lock
+     * @param token The token to lock, or `NATIVE_TOKEN`
+     * @param amount The amount to lock, or the total of a batch
+     * @return mode The current fee mode
+     * @return fee The fee: wei for `FlatNative`, `feeToken` units for `FlatToken` and `token`
+     * units taken from `amount` for `Percentage`
+     */
+    function quoteFee(address account, address token, uint256 amount) public view returns (FeeMode mode, uint256 fee) {
+        mode = feeMode;
+        if (feeExemptAccounts[account] || feeExemptTokens[token]) {
+            return (mode, 0);
+        }
+
+        if (mode == FeeMode.FlatNative) {
+            fee = lockFee;
+        } else if (mode == FeeMode.FlatToken) {
+            fee = tokenFeeAmount;
+        } else {
+            fee = (amount * feeBps) / BPS_DENOMINATOR;
+        }
+    }
+
+    /**
+     * @dev Returns the total fees accumulated in the contract
+     * @return The lock fees collected and not yet withdrawn, excluding locked ETH
+     */
+    function getAccumulatedFees() external view returns (uint256) {
+        return accumulatedFees;
+    }
+
+    /**
+     * @dev Pulls the tokens and fee from the caller and records a new lock owned by the caller.
+     * The locked amount is the balance increase observed by this contract, not the requested amount.
+     * @return lockId The identifier of the newly created lock
+     * @return refund The ETH sent above what the lock needed, for the caller to `_refund` last
+     */
+    function _createLock(
+        address token,
+        uint256 amount,
+        LockType lockType,
+        uint256 startDate,
+        uint256 cliffDate,
+        uint256 unlockDate
+    ) internal returns (uint256 lockId, uint256 refund) {
+        require(amount > 0, "KITSU_TOKENLOCKER: Amount must be > 0");
+        _requireLockable(token);
+
+        uint256 fee;
+        uint256 principal;
+        (fee, principal, refund) = _collectFee(token, amount);
+        amount = _pullTokens(token, principal);
+
+        lockId = _storeLock(TokenLock({
+            id: 0,
+            token: token,
+            owner: msg.sender,
+            amount: amount,
+            unlockDate: unlockDate,
+            withdrawn: false,
+            lockType: lockType,
+            startDate: startDate,
+            cliffDate: cliffDate,
+            claimedAmount: 0
+        }));
+
+        emit TokenLocked(lockId, msg.sender, token, amount, unlockDate, fee);
+    }
+
+    /**
+     * @dev Stores `lock` under the next available lock ID, indexes it by token and mints its NFT to the lock owner
+     * @return lockId The identifier assigned to the lock
+     */
+    function _storeLock(TokenLock memory lock) internal returns (uint256 lockId) {
+        lockId = nextLockId++;
+        lock.id = lockId;
+        locks[lockId] = lock;
+        _addLockId(tokenLockIds[lock.token], tokenLockIndex, lockId);
+        _mint(lock.owner, lockId);
+    }
+
+    /**
+     * @dev Keeps `TokenLock.owner`, `userLockIds` and the per-user locked amounts in sync with the
+     * lock NFT on every mint, transfer and burn. Withdrawn locks cannot be transferred, nothing
+     * can be transferred while paused, and any pending transfer proposal is dropped once the lock moves.
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+
+        TokenLock storage lock = locks[tokenId];
+        uint256 remaining = lock.amount - lock.claimedAmount;
+        if (from != address(0)) {
+            _removeLockId(userLockIds[from], userLockIndex, tokenId);
+            userTokenLocked[from][lock.token] -= remaining;
+        }
+        if (to != address(0)) {
+            _addLockId(userLockIds[to], userLockIndex, tokenId);
+            userTokenLocked[to][lock.token] += remaining;
+        }
+        if (from != address(0) && to != address(0)) {
+            require(!lock.withdrawn, "KITSU_TOKENLOCKER: Already withdrawn");
+            _requireNotPaused();
+            lock.owner = to;
+            delete pendingTransfers[tokenId];
+            emit LockTransferred(tokenId, from, to);
+        }
+    }
+
+    /**
+     * @dev Checks that new tokens can be locked: the contract is not paused and `token` is not blocked
+     */
+    function _requireLockable(address token) internal view {
+        _requireNotPaused();
+        require(!blockedTokens[token], "KITSU_TOKENLOCKER: Token blocked");
+    }
+
+    /**
+     * @dev Returns a lock after checking that the caller owns it or is an approved operator of its owner
+     */
+    function _authorizedLock(uint256 lockId) internal view returns (TokenLock storage lock) {
+        lock = locks[lockId];
+        require(_isAuthorized(lock.owner, msg.sender, lockId), "KITSU_TOKENLOCKER: Not owner");
+    }
+
+    /**
+     * @dev Returns a lock after checking that the caller owns it and it has not been withdrawn
+     */
+    function _ownedLock(uint256 lockId) internal view returns (TokenLock storage lock) {
+        lock = locks[lockId];
+        require(lock.owner == msg.sender, "KITSU_TOKENLOCKER: Not owner");
+        require(!lock.withdrawn, "KITSU_TOKENLOCKER: Already withdrawn");
+    }
+
+    /**
+     * @dev Appends `lockId` to an index array and records its position
+     */
+    function _addLockId(uint256[] storage ids, mapping(uint256 => uint256) storage index, uint256 lockId) internal {
+        index[lockId] = ids.length;
+        ids.push(lockId);
+    }
+
+    /**
+     * @dev Removes `lockId` from an index array in constant time by moving the last element into its position
+     */
+    function _removeLockId(uint256[] storage ids, mapping(uint256 => uint256) storage index, uint256 lockId) internal {
+        uint256 position = index[lockId];
+        uint256 lastId = ids[ids.length - 1];
+
+        ids[position] = lastId;
+        index[lastId] = position;
+        ids.pop();
+        delete index[lockId];
+    }
+
+    /**
+     * @dev Returns the slice `[offset, offset + limit)` of an index array, clamped to its length
+     */
+    function _paginate(uint256[] storage ids, uint256 offset, uint256 limit) internal view returns (uint256[] memory page) {
+        uint256 end = _pageEnd(ids.length, offset, limit);
+        if (end <= offset) {
+            return page;
+        }
+
+        page = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = ids[i];
+        }
+    }
+
+    /**
+     * @dev Returns the exclusive end index of a page, clamped to `length` and safe from overflow
+     */
+    function _pageEnd(uint256 length, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        if (offset >= length) {
+            return offset;
+        }
+        return limit > length - offset ? length : offset + limit;
+    }
+
+    /**
+     * @dev Charges the fee of a new lock and checks the ETH sent with it.
+     * ETH fees are tracked in `accumulatedFees` so that they never mix with locked ETH; ERC20
+     * fees are transferred from the caller to `feeRecipient`.
+     * @param token The token being locked
+     * @param amount The amount being locked, which must be sent on top of any flat ETH fee for native ETH
+     * @return fee The fee charged, as returned by `quoteFee`
+     * @return principal The amount left to lock once a percentage fee is taken
+     * @return refund The ETH sent above what is due, refunded with `_refund` once the lock is stored
+     */
+    function _collectFee(address token, uint256 amount) internal returns (uint256 fee, uint256 principal, uint256 refund) {
+        FeeMode mode;
+        (mode, fee) = quoteFee(msg.sender, token, amount);
+        principal = amount;
+        if (mode == FeeMode.Percentage) {
+            principal -= fee;
+        }
+
+        uint256 ethDue = token == NATIVE_TOKEN ? principal : 0;
+        if (fee > 0) {
+            address feeAsset = mode == FeeMode.FlatNative ? NATIVE_TOKEN : (mode == FeeMode.FlatToken ? feeToken : token);
+            if (feeAsset == NATIVE_TOKEN) {
+                ethDue += fee;
+                accumulatedFees += fee;
+            } else {
+                IERC20(feeAsset).safeTransferFrom(msg.sender, feeRecipient, fee);
+            }
+        }
+
+        require(msg.value >= ethDue, "KITSU_TOKENLOCKER: Incorrect fee amount");
+        refund = msg.value - ethDue;
+    }
+
+    /**
+     * @dev Sends ETH overpaid for a new lock back to the caller. Called last by the lock
+     * functions, once every state change is done.
+     */
+    function _refund(uint256 amount) internal {
+        if (amount > 0) {
+            _pushTokens(NATIVE_TOKEN, msg.sender, amount);
+        }
+    }
+
+    /**
+     * @dev Transfers `amount` of `token` from the caller and returns the balance actually received.
+     * Reverts if the token balance had already dropped below what is owed to existing locks
+     * (e.g. a negative rebase), since a new lock would be diluted by the shortfall.
+     * Native ETH has already arrived with the call and is validated by the caller.
+     */
+    function _pullTokens(address token, uint256 amount) internal returns (uint256 received) {
+        if (token == NATIVE_TOKEN) {
+            received = amount;
+        } else {
+            _requireSolvent(token);
+
+            uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+            received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+            require(received > 0, "KITSU_TOKENLOCKER: No tokens received");
+        }
+
+        tokenTotalLocked[token] += received;
+    }
+
+    /**
+     * @dev Sends `amount` of `token`, or native ETH for `NATIVE_TOKEN`, to `to`
+     */
+    function _pushTokens(address token, address to, uint256 amount) internal {
+        if (token == NATIVE_TOKEN) {
+            (bool success, ) = to.call{value: amount}("");
+            require(success, "KITSU_TOKENLOCKER: ETH transfer failed");
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+
+    /**
+     * @dev Reverts if this contract holds less of `token` than its locks are owed,
+     * which happens with tokens whose balances shrink over time
+     */
+    function _requireSolvent(address token) internal view {
+        require(
+            IERC20(token).balanceOf(address(this)) >= tokenTotalLocked[token],
+            "KITSU_TOKENLOCKER: Token balance below locked total"
+        );
+    }
+
+    /**
+     * @dev Returns the tokens paid for `amount` owed to a lock of `token`: `amount` itself, or its
+     * pro rata share of the balance when the contract holds less than its locks are owed, so that
+     * a shortfall is shared by every lock instead of blocking the last withdrawals
+     */
+    function _payout(address token, uint256 amount) internal view returns (uint256) {
+        if (token == NATIVE_TOKEN) {
+            return amount;
+        }
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 owed = tokenTotalLocked[token];
+        return balance < owed ? (amount * balance) / owed : amount;
+    }
+
+    /**
+     * @dev Releases the vested but unclaimed amount of a lock to `recipient`.
+     * The caller is responsible for authorizing the withdrawal.
+     */
+    function _withdraw(uint256 lockId, address recipient) internal {
+        TokenLock storage lock = locks[lockId];
+        require(!lock.withdrawn, "KITSU_TOKENLOCKER: Already withdrawn");
+
+        uint256 amount = _releasable(lock);
+        require(amount > 0, "KITSU_TOKENLOCKER: Still locked");
+        uint256 payout = _payout(lock.token, amount);
+
+        lock.claimedAmount += amount;
+        if (lock.claimedAmount == lock.amount) {
+            lock.withdrawn = true;
+        }
+
+        tokenTotalLocked[lock.token] -= amount;
+        userTokenLocked[lock.owner][lock.token] -= amount;
+        _pushTokens(lock.token, recipient, payout);
+
+        emit TokensReleased(lockId, recipient, payout, amount);
+        if (lock.withdrawn) {
+            emit TokenWithdrawn(lockId, lock.owner);
+        }
+    }
+
+    /**
+     * @dev Reverts unless `signature` is a valid EIP-712 signature of `structHash` by `signer`
+     * and `deadline` has not passed
+     */
+    function _verifySignature(address signer, bytes32 structHash, uint256 deadline, bytes calldata signature) internal view {
+        require(block.timestamp <= deadline, "KITSU_TOKENLOCKER: Signature expired");
+        require(signer != address(0), "KITSU_TOKENLOCKER: Lock does not exist");
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(_hashTypedDataV4(structHash), signature);
+        require(error == ECDSA.RecoverError.NoError && recovered == signer, "KITSU_TOKENLOCKER: Invalid signature");
+    }
+
+    /**
+     * @dev Returns the vested but unclaimed amount of a lock. A standard lock behaves as a
+     * vesting lock whose cliff equals its unlock date.
+     */
+    function _releasable(TokenLock storage lock) internal view returns (uint256) {
+        if (lock.withdrawn || block.timestamp < lock.cliffDate) {
+            return 0;
+        }
+
+        uint256 vested;
+        if (block.timestamp >= lock.unlockDate) {
+            vested = lock.amount;
+        } else {
+            vested = (lock.amount * (block.timestamp - lock.startDate)) / (lock.unlockDate - lock.startDate);
+        }
+        return vested > lock.claimedAmount ? vested - lock.claimedAmount : 0;
     }
-}
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./TokenLocker.sol";
+
+/**
+ * @title TokenLockerDescriptor
+ * @dev Renders the on-chain metadata of TokenLocker lock positions.
+ *
+ * `tokenURI` returns a base64 encoded JSON document whose image is an SVG card showing
+ * the locked token, the amount still held by the lock and its unlock date. Rendering lives
+ * in its own contract to keep TokenLocker below the contract size limit.
+ *
+ * @author jscrui | https://github.com/jscrui
+ * @custom:security-contact security@kitsunine.io
+ */
+contract TokenLockerDescriptor {
+    using Strings for uint256;
+    using Strings for address;
+
+    /**
+     * @dev Returns the data URI holding the JSON metadata of a lock
+     * @param locker The TokenLocker the lock belongs to
+     * @param lockId The unique identifier of the lock
+     * @return The metadata as a `data:application/json;base64` URI
+     */
+    function tokenURI(TokenLocker locker, uint256 lockId) external view returns (string memory) {
+        TokenLocker.TokenLock memory lock = locker.getLock(lockId);
+
+        string memory symbol = _symbol(lock.token);
+        string memory amount = _formatAmount(lock.amount - lock.claimedAmount, _decimals(lock.token));
+        string memory status = lock.withdrawn ? "Withdrawn" : (block.timestamp >= lock.unlockDate ? "Unlocked" : "Locked");
+
+        string memory json = string.concat(
+            '{"name":"Kitsu Lock #', lockId.toString(),
+            '","description":"Kitsu TokenLocker position. The holder of this NFT can withdraw the locked tokens once unlocked.",',
+            '"image":"data:image/svg+xml;base64,', Base64.encode(bytes(_svg(lock, symbol, amount, status))),
+            '","attributes":', _attributes(lock, symbol, amount, status), '}'
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @dev Builds the JSON attributes array of a lock
+     */
+    function _attributes(
+        TokenLocker.TokenLock memory lock,
+        string memory symbol,
+        string memory amount,
+        string memory status
+    ) internal pure returns (string memory) {
+        return string.concat(
+            '[{"trait_type":"Token","value":"', lock.token.toHexString(),
+            '"},{"trait_type":"Symbol","value":"', symbol,
+            '"},{"trait_type":"Amount","value":"', amount,
+            '"},{"display_type":"date","trait_type":"Unlock Date","value":', lock.unlockDate.toString(),
+            '},{"trait_type":"Status","value":"', status, '"}]'
+        );
+    }
+
+    /**
+     * @dev Builds the SVG card of a lock
+     */
+    function _svg(
+        TokenLocker.TokenLock memory lock,
+        string memory symbol,
+        string memory amount,
+        string memory status
+    ) internal pure returns (string memory) {
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" viewBox="0 0 350 350">',
+            '<rect width="350" height="350" rx="24" fill="#1b1035"/>',
+            '<text x="28" y="56" font-family="monospace" font-size="22" fill="#ff8c42">Kitsu Lock #', lock.id.toString(), '</text>',
+            '<text x="28" y="130" font-family="monospace" font-size="16" fill="#b9a8e0">Amount</text>',
+            '<text x="28" y="158" font-family="monospace" font-size="20" fill="#ffffff">', amount, ' ', symbol, '</text>',
+            '<text x="28" y="212" font-family="monospace" font-size="16" fill="#b9a8e0">Unlock date (UTC)</text>',
+            '<text x="28" y="240" font-family="monospace" font-size="20" fill="#ffffff">', _formatDate(lock.unlockDate), '</text>',
+            '<text x="28" y="310" font-family="monospace" font-size="16" fill="#ff8c42">', status, '</text>',
+            '</svg>'
+        );
+    }
+
+    /**
+     * @dev Returns the token symbol restricted to characters that are safe inside JSON and SVG,
+     * "ETH" for native ETH locks, or "???" when the token does not expose one
+     */
+    function _symbol(address token) internal view returns (string memory) {
+        if (token == address(0)) {
+            return "ETH";
+        }
+
+        (bool success, bytes memory data) = token.staticcall(abi.encodeCall(IERC20Metadata.symbol, ()));
+        if (!success || data.length < 64) {
+            return "???";
+        }
+
+        bytes memory raw = bytes(abi.decode(data, (string)));
+        bytes memory clean = new bytes(raw.length);
+        uint256 length;
+        for (uint256 i = 0; i < raw.length; i++) {
+            bytes1 c = raw[i];
+            if ((c >= "0" && c <= "9") || (c >= "A" && c <= "Z") || (c >= "a" && c <= "z") || c == "-" || c == "_" || c == ".") {
+                clean[length++] = c;
+            }
+        }
+        assembly {
+            mstore(clean, length)
+        }
+        return length == 0 ? "???" : string(clean);
+    }
+
+    /**
+     * @dev Returns the token decimals, defaulting to 18 when the token does not expose them
+     */
+    function _decimals(address token) internal view returns (uint8) {
+        (bool success, bytes memory data) = token.staticcall(abi.encodeCall(IERC20Metadata.decimals, ()));
+        if (!success || data.length < 32) {
+            return 18;
+        }
+        uint256 decimals = abi.decode(data, (uint256));
+        return decimals > 77 ? 18 : uint8(decimals);
+    }
+
+    /**
+     * @dev Formats a raw token amount as a decimal string with at most 4 fractional digits
+     */
+    function _formatAmount(uint256 amount, uint8 decimals) internal pure returns (string memory) {
+        uint256 unit = 10 ** decimals;
+        string memory whole = (amount / unit).toString();
+        uint256 fraction = decimals > 4 ? (amount % unit) / 10 ** (decimals - 4) : amount % unit;
+        uint256 digits = decimals > 4 ? 4 : decimals;
+
+        while (digits > 0 && fraction % 10 == 0) {
+            fraction /= 10;
+            digits--;
+        }
+        if (digits == 0) {
+            return whole;
+        }
+
+        bytes memory padded = bytes(fraction.toString());
+        string memory zeros;
+        for (uint256 i = padded.length; i < digits; i++) {
+            zeros = string.concat(zeros, "0");
+        }
+        return string.concat(whole, ".", zeros, string(padded));
+    }
+
+    /**
+     * @dev Formats a unix timestamp as a YYYY-MM-DD UTC date
+     */
+    function _formatDate(uint256 timestamp) internal pure returns (string memory) {
+        // Civil-from-days conversion, see http://howardhinnant.github.io/date_algorithms.html
+        uint256 z = timestamp / 1 days + 719468;
+        uint256 era = z / 146097;
+        uint256 doe = z - era * 146097;
+        uint256 yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        uint256 day = doy - (153 * mp + 2) / 5 + 1;
+        uint256 month = mp < 10 ? mp + 3 : mp - 9;
+        uint256 year = yoe + era * 400 + (month <= 2 ? 1 : 0);
+
+        return string.concat(
+            year.toString(),
+            month < 10 ? "-0" : "-", month.toString(),
+            day < 10 ? "-0" : "-", day.toString()
+        );
+    }
+}
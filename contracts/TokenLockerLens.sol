@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./TokenLocker.sol";
+
+/**
+ * @title TokenLockerLens
+ * @dev Read-only queries returning full TokenLocker lock structs, filtered by status.
+ *
+ * The lens is deployed by the TokenLocker it reads from and only uses the locker's public
+ * getters, so its results always match the locker's state. The queries live in their own
+ * contract to keep TokenLocker below the contract size limit.
+ *
+ * @author jscrui | https://github.com/jscrui
+ * @custom:security-contact security@kitsunine.io
+ */
+contract TokenLockerLens {
+    /// @notice The TokenLocker this lens reads from
+    TokenLocker public immutable locker;
+
+    /**
+     * @dev Binds the lens to the deploying TokenLocker
+     */
+    constructor() {
+        locker = TokenLocker(msg.sender);
+    }
+
+    /**
+     * @dev Returns all active locks for a user (non-withdrawn and not yet expired)
+     * @param user The address of the user
+     * @return Array of TokenLock structs for active locks
+     * @notice Unbounded, prefer `getUserLocksByStatus` for users with many locks
+     */
+    function getActiveLocks(address user) external view returns (TokenLocker.TokenLock[] memory) {
+        return _filterByStatus(locker.getUserLocks(user), TokenLocker.LockStatus.Active);
+    }
+
+    /**
+     * @dev Returns the locks of a user with the given status, scanning one page of the user's lock list
+     * @param user The address of the user
+     * @param status The status to filter on
+     * @param offset The index of the first lock of the user's list to scan
+     * @param limit The maximum number of locks to scan
+     * @return Array of the matching TokenLock structs within the scanned page
+     */
+    function getUserLocksByStatus(
+        address user,
+        TokenLocker.LockStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (TokenLocker.TokenLock[] memory) {
+        return _filterByStatus(locker.getUserLocksPaginated(user, offset, limit), status);
+    }
+
+    /**
+     * @dev Returns the locks of a token with the given status, scanning one page of the token's lock list
+     * @param token The address of the token
+     * @param status The status to filter on
+     * @param offset The index of the first lock of the token's list to scan
+     * @param limit The maximum number of locks to scan
+     * @return Array of the matching TokenLock structs within the scanned page
+     */
+    function getTokenLocksByStatus(
+        address token,
+        TokenLocker.LockStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (TokenLocker.TokenLock[] memory) {
+        return _filterByStatus(locker.getTokenLocksPaginated(token, offset, limit), status);
+    }
+
+    /**
+     * @dev Returns the locks among `lockIds` with the given status
+     */
+    function _filterByStatus(
+        uint256[] memory lockIds,
+        TokenLocker.LockStatus status
+    ) internal view returns (TokenLocker.TokenLock[] memory result) {
+        result = new TokenLocker.TokenLock[](lockIds.length);
+        uint256 count;
+        for (uint256 i = 0; i < lockIds.length; i++) {
+            TokenLocker.TokenLock memory lock = locker.getLock(lockIds[i]);
+            if (_status(lock) == status) {
+                result[count++] = lock;
+            }
+        }
+        // Shrink the array to the number of matches
+        assembly {
+            mstore(result, count)
+        }
+    }
+
+    /**
+     * @dev Returns the status of a lock for query filters
+     */
+    function _status(TokenLocker.TokenLock memory lock) internal view returns (TokenLocker.LockStatus) {
+        if (lock.withdrawn) {
+            return TokenLocker.LockStatus.Withdrawn;
+        }
+        return block.timestamp < lock.unlockDate ? TokenLocker.LockStatus.Active : TokenLocker.LockStatus.Unlockable;
+    }
+}
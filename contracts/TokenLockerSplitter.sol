@@ -0,0 +1,406 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./TokenLocker.sol";
+
+/**
+ * @title TokenLockerSplitter
+ * @dev Multi-beneficiary locks on top of TokenLocker.
+ *
+ * The splitter owns TokenLocker locks on behalf of a list of beneficiaries, each holding a
+ * share of the lock in basis points. Once tokens unlock, every beneficiary claims their own
+ * share independently: the first claim pulls the released tokens out of the lock and later
+ * claims are paid from what the splitter already holds. Shares can be reassigned, in part or
+ * in full, by their holder.
+ *
+ * A shared lock is created with `lockTokens`, or by transferring an existing lock to the
+ * splitter with `safeTransferFrom` and the ABI encoded `(address[] beneficiaries, uint256[] shares)`
+ * as data. Every other TokenLocker transfer, plain ERC-721 `transferFrom` included, also calls
+ * `onERC721Received` but without data, so it reverts instead of handing the splitter a lock
+ * without shares. Fees, pauses and the token blocklist are those of the TokenLocker. The splitter lives in its own
+ * contract to keep TokenLocker below the contract size limit.
+ *
+ * @author jscrui | https://github.com/jscrui
+ * @custom:security-contact security@kitsunine.io
+ */
+contract TokenLockerSplitter is IERC721Receiver, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @notice Shares of a lock always sum to this amount of basis points
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+
+    /// @notice Maximum number of beneficiaries of a lock
+    uint256 public constant MAX_BENEFICIARIES = 50;
+
+    /// @notice Token address used for native ETH locks, same as `TokenLocker.NATIVE_TOKEN`
+    address public constant NATIVE_TOKEN = address(0);
+
+    /// @notice The TokenLocker holding the tokens of every shared lock
+    TokenLocker public immutable locker;
+
+    /**
+     * @dev Accounting of a shared lock
+     * @param token The locked token, or `NATIVE_TOKEN`
+     * @param released Amount received from the lock so far
+     * @param claimed Amount paid out to beneficiaries so far
+     * @param beneficiaries Accounts currently holding a share
+     */
+    struct SharedLock {
+        address token;
+        uint256 released;
+        uint256 claimed;
+        address[] beneficiaries;
+    }
+
+    /// @dev Mapping from lock ID to its accounting
+    mapping(uint256 => SharedLock) private sharedLocks;
+
+    /// @notice Mapping from lock ID to beneficiary to their share in basis points
+    mapping(uint256 => mapping(address => uint256)) public shares;
+
+    /// @notice Mapping from lock ID to beneficiary to the amount they have claimed, adjusted when shares move
+    mapping(uint256 => mapping(address => uint256)) public claimed;
+
+    /// @dev Position of each beneficiary in the `beneficiaries` array of a lock
+    mapping(uint256 => mapping(address => uint256)) private beneficiaryIndex;
+
+    /**
+     * @dev Emitted when a lock becomes shared
+     * @param lockId The unique identifier of the TokenLocker lock
+     * @param creator The account that created or transferred the lock
+     * @param beneficiaries The beneficiaries of the lock
+     * @param shareBps The share of each beneficiary, in basis points
+     */
+    event SharedLockCreated(uint256 indexed lockId, address indexed creator, address[] beneficiaries, uint256[] shareBps);
+
+    /**
+     * @dev Emitted when a beneficiary reassigns part or all of their share
+     * @param lockId The unique identifier of the lock
+     * @param from The beneficiary giving up the share
+     * @param to The account receiving the share
+     * @param shareBps The share moved, in basis points
+     */
+    event ShareTransferred(uint256 indexed lockId, address indexed from, address indexed to, uint256 shareBps);
+
+    /**
+     * @dev Emitted when a beneficiary claims their share of the released tokens
+     * @param lockId The unique identifier of the lock
+     * @param beneficiary The beneficiary
+     * @param amount The amount paid out
+     */
+    event ShareClaimed(uint256 indexed lockId, address indexed beneficiary, uint256 amount);
+
+    /**
+     * @param _locker The TokenLocker whose locks are shared
+     */
+    constructor(TokenLocker _locker) {
+        locker = _locker;
+    }
+
+    /**
+     * @dev Only accepts ETH released by native ETH locks
+     */
+    receive() external payable {
+        require(msg.sender == address(locker), "KITSU_TOKENLOCKER: Not the locker");
+    }
+
+    /**
+     * @dev Locks tokens in the TokenLocker for several beneficiaries. The lock is owned by this
+     * contract and the fee is quoted for it, see `TokenLocker.quoteFee(address(this), ...)`.
+     * @param token The address of the ERC20 token to lock, or `NATIVE_TOKEN` for native ETH
+     * @param amount The amount of tokens to lock
+     * @param unlockDate The timestamp when beneficiaries can claim
+     * @param beneficiaries The beneficiaries of the lock
+     * @param shareBps The share of each beneficiary, in basis points
+     * @return lockId The identifier of the new TokenLocker lock
+     *
+     * Requirements:
+     * - Same as `TokenLocker.lockTokens`
+     * - Caller must have approved this contract to spend `amount` of `token`, and the fee in `FeeMode.FlatToken`
+     * - Caller must send exactly the ETH fee in `FeeMode.FlatNative`, plus `amount` for native ETH
+     * - Same as `onERC721Received` for `beneficiaries` and `shareBps`
+     */
+    function lockTokens(
+        address token,
+        uint256 amount,
+        uint256 unlockDate,
+        address[] calldata beneficiaries,
+        uint256[] calldata shareBps
+    ) external payable nonReentrant returns (uint256 lockId) {
+        if (token != NATIVE_TOKEN) {
+            uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+            amount = IERC20(token).balanceOf(address(this)) - balanceBefore;
+        }
+
+        (TokenLocker.FeeMode mode, uint256 fee) = locker.quoteFee(address(this), token, amount);
+        uint256 value = token == NATIVE_TOKEN ? amount : 0;
+        uint256 allowance = token == NATIVE_TOKEN ? 0 : amount;
+        if (mode == TokenLocker.FeeMode.FlatNative) {
+            value += fee;
+        } else if (mode == TokenLocker.FeeMode.FlatToken && fee > 0) {
+            address feeToken = locker.feeToken();
+            IERC20(feeToken).safeTransferFrom(msg.sender, address(this), fee);
+            if (feeToken == token) {
+                allowance += fee;
+            } else {
+                IERC20(feeToken).forceApprove(address(locker), fee);
+            }
+        }
+        require(msg.value == value, "KITSU_TOKENLOCKER: Incorrect fee amount");
+        if (token != NATIVE_TOKEN) {
+            IERC20(token).forceApprove(address(locker), allowance);
+        }
+
+        lockId = locker.lockTokens{value: value}(token, amount, unlockDate);
+        _setShares(lockId, token, beneficiaries, shareBps);
+        emit SharedLockCreated(lockId, msg.sender, beneficiaries, shareBps);
+    }
+
+    /**
+     * @dev Turns a TokenLocker lock transferred with `safeTransferFrom` into a shared lock
+     * @param from The previous owner of the lock
+     * @param lockId The unique identifier of the lock
+     * @param data The ABI encoded `(address[] beneficiaries, uint256[] shareBps)`
+     * @return The ERC-721 receiver selector
+     *
+     * Requirements:
+     * - The lock must come from `locker`
+     * - Between 1 and `MAX_BENEFICIARIES` distinct, non-zero beneficiaries
+     * - Every share must be greater than 0 and the shares must sum to `BPS_DENOMINATOR`
+     *
+     * @notice Only tokens released after the transfer are shared
+     */
+    function onERC721Received(address, address from, uint256 lockId, bytes calldata data) external returns (bytes4) {
+        require(msg.sender == address(locker), "KITSU_TOKENLOCKER: Not the locker");
+        (address[] memory beneficiaries, uint256[] memory shareBps) = abi.decode(data, (address[], uint256[]));
+
+        _setShares(lockId, locker.getLock(lockId).token, beneficiaries, shareBps);
+        emit SharedLockCreated(lockId, from, beneficiaries, shareBps);
+        return IERC721Receiver.onERC721Received.selector;
+    }
+
+    /**
+     * @dev Pays the caller their share of the tokens released so far, first withdrawing
+     * whatever the lock currently releases. Once the lock has released everything, the last
+     * beneficiary to claim also receives the rounding dust left by the other shares.
+     * @param lockId The unique identifier of the lock
+     * @return amount The amount paid out
+     *
+     * Requirements:
+     * - Caller must hold a share of the lock
+     * - Something must be claimable: the lock must have unlocked and the caller not already
+     *   have claimed their share of everything released
+     */
+    function claim(uint256 lockId) external nonReentrant returns (uint256 amount) {
+        require(shares[lockId][msg.sender] > 0, "KITSU_TOKENLOCKER: Not beneficiary");
+        SharedLock storage sharedLock = sharedLocks[lockId];
+        if (locker.withdrawable(lockId) > 0) {
+            uint256 balanceBefore = _balance(sharedLock.token);
+            locker.withdraw(lockId);
+            sharedLock.released += _balance(sharedLock.token) - balanceBefore;
+        }
+
+        amount = _claimable(lockId, msg.sender, sharedLock.released, _isComplete(lockId));
+        require(amount > 0, "KITSU_TOKENLOCKER: Nothing to claim");
+
+        claimed[lockId][msg.sender] += amount;
+        sharedLock.claimed += amount;
+        if (sharedLock.token == NATIVE_TOKEN) {
+            (bool success, ) = msg.sender.call{value: amount}("");
+            require(success, "KITSU_TOKENLOCKER: ETH transfer failed");
+        } else {
+            IERC20(sharedLock.token).safeTransfer(msg.sender, amount);
+        }
+
+        emit ShareClaimed(lockId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Moves `shareBps` of the caller's share to `to`, together with the matching part of
+     * what the caller has already claimed, so that neither side can claim twice
+     * @param lockId The unique identifier of the lock
+     * @param to The account receiving the share
+     * @param shareBps The share to move, in basis points
+     *
+     * Requirements:
+     * - `to` must not be the zero address nor the caller
+     * - `shareBps` must be greater than 0 and at most the caller's share
+     * - `to` must already be a beneficiary if the lock has `MAX_BENEFICIARIES` beneficiaries
+     *   and the caller keeps part of their share
+     */
+    function transferShare(uint256 lockId, address to, uint256 shareBps) external {
+        require(to != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+        require(to != msg.sender, "KITSU_TOKENLOCKER: Invalid recipient");
+        uint256 fromShare = shares[lockId][msg.sender];
+        require(shareBps > 0 && shareBps <= fromShare, "KITSU_TOKENLOCKER: Invalid share");
+
+        uint256 movedClaim = (claimed[lockId][msg.sender] * shareBps) / fromShare;
+        claimed[lockId][msg.sender] -= movedClaim;
+        claimed[lockId][to] += movedClaim;
+
+        shares[lockId][msg.sender] = fromShare - shareBps;
+        if (fromShare == shareBps) {
+            _removeBeneficiary(lockId, msg.sender);
+        }
+        if (shares[lockId][to] == 0) {
+            _addBeneficiary(lockId, to);
+        }
+        shares[lockId][to] += shareBps;
+
+        emit ShareTransferred(lockId, msg.sender, to, shareBps);
+    }
+
+    /**
+     * @dev Returns the accounting of a shared lock
+     * @param lockId The unique identifier of the lock
+     * @return token The locked token, or `NATIVE_TOKEN`
+     * @return released Amount received from the lock so far
+     * @return totalClaimed Amount paid out to beneficiaries so far
+     * @return beneficiaries The current beneficiaries, empty if the lock is not shared
+     * @return shareBps The share of each beneficiary, in basis points
+     */
+    function getSharedLock(uint256 lockId)
+        external
+        view
+        returns (address token, uint256 released, uint256 totalClaimed, address[] memory beneficiaries, uint256[] memory shareBps)
+    {
+        SharedLock storage sharedLock = sharedLocks[lockId];
+        beneficiaries = sharedLock.beneficiaries;
+        shareBps = new uint256[](beneficiaries.length);
+        for (uint256 i = 0; i < beneficiaries.length; i++) {
+            shareBps[i] = shares[lockId][beneficiaries[i]];
+        }
+        return (sharedLock.token, sharedLock.released, sharedLock.claimed, beneficiaries, shareBps);
+    }
+
+    /**
+     * @dev Returns the amount a beneficiary could claim now, including tokens the lock
+     * releases but that have not been withdrawn from it yet
+     * @param lockId The unique identifier of the lock
+     * @param beneficiary The beneficiary
+     * @return The claimable amount
+     *
+     * @notice Fee-on-transfer tokens pay out slightly less than reported for the part still held by the lock
+     */
+    function claimable(uint256 lockId, address beneficiary) public view returns (uint256) {
+        return _claimable(lockId, beneficiary, sharedLocks[lockId].released + locker.withdrawable(lockId), _isComplete(lockId));
+    }
+
+    /**
+     * @dev Returns the amount every beneficiary of a lock could claim now, see `claimable`
+     * @param lockId The unique identifier of the lock
+     * @return beneficiaries The current beneficiaries
+     * @return amounts The claimable amount of each beneficiary
+     */
+    function getClaimableAmounts(uint256 lockId) external view returns (address[] memory beneficiaries, uint256[] memory amounts) {
+        beneficiaries = sharedLocks[lockId].beneficiaries;
+        amounts = new uint256[](beneficiaries.length);
+        for (uint256 i = 0; i < beneficiaries.length; i++) {
+            amounts[i] = claimable(lockId, beneficiaries[i]);
+        }
+    }
+
+    /**
+     * @dev Records the token and beneficiaries of a new shared lock after validating the shares
+     */
+    function _setShares(uint256 lockId, address token, address[] memory beneficiaries, uint256[] memory shareBps) internal {
+        uint256 count = beneficiaries.length;
+        require(count > 0, "KITSU_TOKENLOCKER: Empty array");
+        require(shareBps.length == count, "KITSU_TOKENLOCKER: Array length mismatch");
+        require(count <= MAX_BENEFICIARIES, "KITSU_TOKENLOCKER: Too many beneficiaries");
+
+        sharedLocks[lockId].token = token;
+        uint256 total;
+        for (uint256 i = 0; i < count; i++) {
+            address beneficiary = beneficiaries[i];
+            require(beneficiary != address(0), "KITSU_TOKENLOCKER: Zero address not allowed");
+            require(shareBps[i] > 0, "KITSU_TOKENLOCKER: Invalid share");
+            require(shares[lockId][beneficiary] == 0, "KITSU_TOKENLOCKER: Duplicate beneficiary");
+
+            shares[lockId][beneficiary] = shareBps[i];
+            _addBeneficiary(lockId, beneficiary);
+            total += shareBps[i];
+        }
+        require(total == BPS_DENOMINATOR, "KITSU_TOKENLOCKER: Shares must sum to 100%");
+    }
+
+    /**
+     * @dev Returns a beneficiary's share of `released` minus what they already claimed, capped
+     * by what is left of `released` so that rounding can never pay out more than was released.
+     * When `complete` and every other beneficiary has been paid, returns all that is left.
+     */
+    function _claimable(uint256 lockId, address beneficiary, uint256 released, bool complete) internal view returns (uint256) {
+        uint256 share = shares[lockId][beneficiary];
+        if (share == 0) {
+            return 0;
+        }
+        uint256 remaining = released - sharedLocks[lockId].claimed;
+        if (complete && _othersPaid(lockId, beneficiary, released)) {
+            return remaining;
+        }
+
+        uint256 entitled = (released * share) / BPS_DENOMINATOR;
+        uint256 paid = claimed[lockId][beneficiary];
+        if (entitled <= paid) {
+            return 0;
+        }
+        return entitled - paid < remaining ? entitled - paid : remaining;
+    }
+
+    /**
+     * @dev Returns whether every beneficiary other than `beneficiary` has claimed their full share of `released`
+     */
+    function _othersPaid(uint256 lockId, address beneficiary, uint256 released) internal view returns (bool) {
+        address[] storage beneficiaries = sharedLocks[lockId].beneficiaries;
+        for (uint256 i = 0; i < beneficiaries.length; i++) {
+            address other = beneficiaries[i];
+            if (other != beneficiary && claimed[lockId][other] < (released * shares[lockId][other]) / BPS_DENOMINATOR) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @dev Returns whether the lock has released, or can now release, everything it holds
+     */
+    function _isComplete(uint256 lockId) internal view returns (bool) {
+        TokenLocker.TokenLock memory lock = locker.getLock(lockId);
+        return lock.withdrawn || block.timestamp >= lock.unlockDate;
+    }
+
+    /**
+     * @dev Appends a beneficiary to a lock and records its position
+     */
+    function _addBeneficiary(uint256 lockId, address beneficiary) internal {
+        address[] storage beneficiaries = sharedLocks[lockId].beneficiaries;
+        require(beneficiaries.length < MAX_BENEFICIARIES, "KITSU_TOKENLOCKER: Too many beneficiaries");
+        beneficiaryIndex[lockId][beneficiary] = beneficiaries.length;
+        beneficiaries.push(beneficiary);
+    }
+
+    /**
+     * @dev Removes a beneficiary from a lock by swapping in the last one
+     */
+    function _removeBeneficiary(uint256 lockId, address beneficiary) internal {
+        address[] storage beneficiaries = sharedLocks[lockId].beneficiaries;
+        uint256 index = beneficiaryIndex[lockId][beneficiary];
+        address last = beneficiaries[beneficiaries.length - 1];
+        beneficiaries[index] = last;
+        beneficiaryIndex[lockId][last] = index;
+        beneficiaries.pop();
+        delete beneficiaryIndex[lockId][beneficiary];
+    }
+
+    /**
+     * @dev Returns the balance of `token`, or native ETH for `NATIVE_TOKEN`, held by this contract
+     */
+    function _balance(address token) internal view returns (uint256) {
+        return token == NATIVE_TOKEN ? address(this).balance : IERC20(token).balanceOf(address(this));
+    }
+}
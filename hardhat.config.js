@@ -1,6 +1,18 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/locks");
+require("./tasks/fees");
+require("./tasks/indexer");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      viaIR: true,
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
 };
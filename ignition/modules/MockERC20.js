@@ -0,0 +1,17 @@
+// Test token for local and dev networks. Never deploy it to a production network.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const ONE_MILLION_TOKENS = 1_000_000n * 10n ** 18n;
+
+module.exports = buildModule("MockERC20Module", (m) => {
+  const name = m.getParameter("name", "Mock Token");
+  const symbol = m.getParameter("symbol", "MTK");
+  const initialSupply = m.getParameter("initialSupply", ONE_MILLION_TOKENS);
+  const holder = m.getParameter("holder", m.getAccount(0));
+
+  const mockToken = m.contract("MockERC20", [name, symbol]);
+  m.call(mockToken, "mint", [holder, initialSupply]);
+
+  return { mockToken };
+});
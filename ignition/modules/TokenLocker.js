@@ -0,0 +1,30 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const DEFAULT_LOCK_FEE = 2_500_000_000_000_000n; // 0.0025 ETH, same as the constructor
+
+module.exports = buildModule("TokenLockerModule", (m) => {
+  const deployer = m.getAccount(0);
+
+  const lockFee = m.getParameter("lockFee", DEFAULT_LOCK_FEE);
+  const feeRecipient = m.getParameter("feeRecipient", deployer);
+  // Account allowed to pause the locker in an emergency. Defaults to the deployer.
+  const guardian = m.getParameter("guardian", deployer);
+  // Final owner of the locker, typically a multisig. Defaults to the deployer.
+  const owner = m.getParameter("owner", deployer);
+
+  const tokenLocker = m.contract("TokenLocker");
+
+  const setLockFee = m.call(tokenLocker, "updateLockFee", [lockFee]);
+  const setFeeRecipient = m.call(tokenLocker, "setFeeRecipient", [feeRecipient]);
+  const setGuardian = m.call(tokenLocker, "setGuardian", [guardian]);
+
+  // Runs last: the deployer can no longer configure the locker once ownership has moved
+  m.call(tokenLocker, "transferOwnership", [owner], {
+    after: [setLockFee, setFeeRecipient, setGuardian],
+  });
+
+  return { tokenLocker };
+});
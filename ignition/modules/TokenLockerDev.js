@@ -0,0 +1,12 @@
+// TokenLocker together with a MockERC20 to lock, for local and dev networks.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TokenLockerModule = require("./TokenLocker");
+const MockERC20Module = require("./MockERC20");
+
+module.exports = buildModule("TokenLockerDevModule", (m) => {
+  const { tokenLocker } = m.useModule(TokenLockerModule);
+  const { mockToken } = m.useModule(MockERC20Module);
+
+  return { tokenLocker, mockToken };
+});
@@ -0,0 +1,12 @@
+// TokenLockerSplitter for multi-beneficiary locks, on top of the TokenLocker of TokenLockerModule.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TokenLockerModule = require("./TokenLocker");
+
+module.exports = buildModule("TokenLockerSplitterModule", (m) => {
+  const { tokenLocker } = m.useModule(TokenLockerModule);
+
+  const splitter = m.contract("TokenLockerSplitter", [tokenLocker]);
+
+  return { tokenLocker, splitter };
+});
@@ -0,0 +1,11 @@
+const { TokenLockerClient, TOKEN_LOCKER_ABI, NATIVE_TOKEN } = require("./lib/client");
+const { LockIndexer } = require("./lib/indexer");
+const errors = require("./lib/errors");
+
+module.exports = {
+  TokenLockerClient,
+  TOKEN_LOCKER_ABI,
+  NATIVE_TOKEN,
+  LockIndexer,
+  ...errors,
+};
@@ -0,0 +1,338 @@
+const { Contract, ZeroAddress, getAddress } = require("ethers");
+const { LockNotFoundError, InvalidArgumentError, ClientError, decodeError } = require("./errors");
+
+const NATIVE_TOKEN = ZeroAddress;
+const LOCK_TYPES = ["standard", "vesting", "liquidity"];
+const FEE_MODES = ["flat-eth", "flat-token", "percentage"];
+// Order of the contract `LockStatus` enum
+const LOCK_STATUSES = ["locked", "unlockable", "withdrawn"];
+
+const TOKEN_LOCK_TUPLE =
+  "tuple(uint256 id, address token, address owner, uint256 amount, uint256 unlockDate, bool withdrawn, " +
+  "uint8 lockType, uint256 startDate, uint256 cliffDate, uint256 claimedAmount)";
+
+/** Subset of the TokenLocker ABI used by the client */
+const TOKEN_LOCKER_ABI = [
+  "function lockTokens(address token, uint256 amount, uint256 unlockDate) payable returns (uint256 lockId)",
+  "function withdraw(uint256 lockId)",
+  "function withdraw(uint256 lockId, address recipient)",
+  "function transferLock(uint256 lockId, address newOwner)",
+  "function approve(address to, uint256 lockId)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "function getApproved(uint256 lockId) view returns (address)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  `function getLock(uint256 lockId) view returns (${TOKEN_LOCK_TUPLE})`,
+  "function withdrawable(uint256 lockId) view returns (uint256)",
+  "function getUserLocksPaginated(address user, uint256 offset, uint256 limit) view returns (uint256[])",
+  "function getTokenLocksPaginated(address token, uint256 offset, uint256 limit) view returns (uint256[])",
+  `function getUserLocksByStatus(address user, uint8 status, uint256 offset, uint256 limit) view returns (${TOKEN_LOCK_TUPLE}[])`,
+  `function getTokenLocksByStatus(address token, uint8 status, uint256 offset, uint256 limit) view returns (${TOKEN_LOCK_TUPLE}[])`,
+  "function quoteFee(address account, address token, uint256 amount) view returns (uint8 mode, uint256 fee)",
+  "function feeToken() view returns (address)",
+  "event TokenLocked(uint256 indexed lockId, address indexed user, address indexed token, uint256 amount, uint256 unlockDate, uint256 fee)",
+  "event TokensReleased(uint256 indexed lockId, address indexed user, uint256 amount, uint256 claimedAmount)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error ERC721InsufficientApproval(address operator, uint256 tokenId)",
+  "error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)",
+  "error ERC721NonexistentToken(uint256 tokenId)",
+  "error SafeERC20FailedOperation(address token)",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+];
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+/**
+ * @typedef {object} Lock
+ * @property {number} id Lock ID, also the ID of the lock NFT
+ * @property {string} token Locked token, `NATIVE_TOKEN` for native ETH
+ * @property {string} owner Current owner
+ * @property {"standard" | "vesting" | "liquidity"} lockType Release schedule
+ * @property {bigint} amount Total amount locked, including what was already withdrawn
+ * @property {bigint} claimedAmount Amount already withdrawn
+ * @property {bigint} withdrawable Tokens a withdrawal would pay out now, as reported by the contract
+ * @property {number} startDate Timestamp the lock vests from
+ * @property {number} cliffDate Timestamp before which nothing can be withdrawn
+ * @property {number} unlockDate Timestamp the whole amount is released at
+ * @property {boolean} withdrawn Whether the full amount has been withdrawn
+ * @property {"locked" | "unlockable" | "withdrawn"} status Status at the latest block
+ * @property {number} timeRemaining Seconds until `unlockDate`, 0 once reached
+ */
+
+/**
+ * @typedef {object} FeeQuote
+ * @property {"flat-eth" | "flat-token" | "percentage"} mode Current fee mode
+ * @property {bigint} fee Wei for `flat-eth`, `feeToken` units for `flat-token`, locked token units for `percentage`
+ * @property {string} [feeToken] ERC20 the fee is paid in, for `flat-token`
+ */
+
+/**
+ * High-level wrapper around a deployed TokenLocker. Takes care of allowances and fees when
+ * locking, returns locks with their computed status and throws `TokenLockerError` subclasses
+ * instead of raw revert errors. Amounts are raw token units (bigint), dates unix timestamps
+ * in seconds, and statuses are evaluated at the latest block timestamp.
+ */
+class TokenLockerClient {
+  /**
+   * @param {string} address Address of the TokenLocker
+   * @param {import("ethers").ContractRunner} runner A signer to send transactions, or a provider for read-only use
+   */
+  constructor(address, runner) {
+    // Checksummed so that log addresses can be compared to it
+    this.contract = new Contract(getAddress(address), TOKEN_LOCKER_ABI, runner);
+    this.runner = runner;
+  }
+
+  /** Address of the TokenLocker */
+  get address() {
+    return this.contract.target;
+  }
+
+  /**
+   * Returns a lock
+   * @param {number | bigint} lockId
+   * @returns {Promise<Lock>}
+   * @throws {LockNotFoundError} When the lock does not exist or was merged into another lock
+   */
+  async getLock(lockId) {
+    const [lock, withdrawable, now] = await Promise.all([
+      this._call(() => this.contract.getLock(lockId)),
+      this._call(() => this.contract.withdrawable(lockId)),
+      this._now(),
+    ]);
+    if (lock.owner === ZeroAddress) {
+      throw new LockNotFoundError(`Lock ${lockId} does not exist`, { reason: "Lock does not exist" });
+    }
+    return toLock(lock, withdrawable, now);
+  }
+
+  /**
+   * Returns the locks of an owner or of a token, optionally only those with a given status.
+   * `offset` and `limit` select a window of the owner's (or token's) lock list, which is then filtered.
+   * @param {object} query
+   * @param {string} [query.owner] Owner address
+   * @param {string} [query.token] Token address, `NATIVE_TOKEN` for native ETH
+   * @param {"locked" | "unlockable" | "withdrawn"} [query.status]
+   * @param {number} [query.offset=0]
+   * @param {number} [query.limit=100]
+   * @returns {Promise<Lock[]>}
+   */
+  async listLocks({ owner, token, status, offset = 0, limit = 100 } = {}) {
+    if (!owner === !token) {
+      throw new InvalidArgumentError("Pass exactly one of owner or token");
+    }
+    if (status !== undefined && !LOCK_STATUSES.includes(status)) {
+      throw new InvalidArgumentError(`Unknown status "${status}"`);
+    }
+
+    const now = await this._now();
+    if (status !== undefined) {
+      const statusIndex = LOCK_STATUSES.indexOf(status);
+      const locks = await this._call(() =>
+        owner
+          ? this.contract.getUserLocksByStatus(owner, statusIndex, offset, limit)
+          : this.contract.getTokenLocksByStatus(token, statusIndex, offset, limit)
+      );
+      return this._toLocks(locks, now);
+    }
+
+    const lockIds = await this._call(() =>
+      owner ? this.contract.getUserLocksPaginated(owner, offset, limit) : this.contract.getTokenLocksPaginated(token, offset, limit)
+    );
+    const locks = await Promise.all(lockIds.map((lockId) => this._call(() => this.contract.getLock(lockId))));
+    return this._toLocks(locks, now);
+  }
+
+  /**
+   * Returns the fee `account` pays to lock `amount` of `token`
+   * @param {string} token
+   * @param {bigint} amount
+   * @param {string} [account] Defaults to the signer
+   * @returns {Promise<FeeQuote>}
+   */
+  async quoteFee(token, amount, account) {
+    account = account ?? (await this._signer().getAddress());
+    const [mode, fee] = await this._call(() => this.contract.quoteFee(account, token, amount));
+    const quote = { mode: FEE_MODES[Number(mode)], fee };
+    if (quote.mode === "flat-token") {
+      quote.feeToken = await this._call(() => this.contract.feeToken());
+    }
+    return quote;
+  }
+
+  /**
+   * Locks `amount` of `token` until `unlockDate`. Approves the locker for the token and the
+   * fee token when the current allowance is too low, and attaches the ETH fee (plus the amount
+   * for native ETH) as value.
+   * @param {string} token Token address, `NATIVE_TOKEN` for native ETH
+   * @param {bigint} amount
+   * @param {number} unlockDate
+   * @returns {Promise<Lock>} The new lock
+   */
+  async lock(token, amount, unlockDate) {
+    const signer = this._signer();
+    const account = await signer.getAddress();
+    const native = token === NATIVE_TOKEN;
+    const { mode, fee, feeToken } = await this.quoteFee(token, amount, account);
+
+    let value = native ? amount : 0n;
+    const allowances = new Map();
+    if (mode === "flat-eth") {
+      value += fee;
+    } else if (mode === "flat-token" && fee > 0n) {
+      allowances.set(getAddress(feeToken), fee);
+    }
+    if (!native) {
+      const address = getAddress(token);
+      allowances.set(address, (allowances.get(address) ?? 0n) + amount);
+    }
+    for (const [allowanceToken, required] of allowances) {
+      await this._ensureAllowance(allowanceToken, account, required);
+    }
+
+    const receipt = await this._send(() => this.contract.lockTokens(token, amount, unlockDate, { value }));
+    const { lockId } = this._event(receipt, "TokenLocked");
+    return this.getLock(lockId);
+  }
+
+  /**
+   * Withdraws everything currently withdrawable from a lock, as its owner or an approved operator
+   * @param {number | bigint} lockId
+   * @param {string} [recipient] Address receiving the tokens, defaults to the lock owner
+   * @returns {Promise<{lock: Lock, released: bigint}>} The updated lock and the amount sent to the recipient
+   */
+  async withdraw(lockId, recipient) {
+    const receipt = await this._send(() =>
+      recipient === undefined
+        ? this.contract["withdraw(uint256)"](lockId)
+        : this.contract["withdraw(uint256,address)"](lockId, recipient)
+    );
+    const { amount } = this._event(receipt, "TokensReleased");
+    return { lock: await this.getLock(lockId), released: amount };
+  }
+
+  /**
+   * Transfers a lock to `newOwner`, as its owner or an approved operator
+   * @param {number | bigint} lockId
+   * @param {string} newOwner
+   * @returns {Promise<Lock>} The updated lock
+   */
+  async transfer(lockId, newOwner) {
+    await this._send(() => this.contract.transferLock(lockId, newOwner));
+    return this.getLock(lockId);
+  }
+
+  /**
+   * Lets `operator` withdraw and transfer a single lock until it changes hands.
+   * Approving the zero address revokes the approval.
+   * @param {number | bigint} lockId
+   * @param {string} operator
+   */
+  async approve(lockId, operator) {
+    await this._send(() => this.contract.approve(operator, lockId));
+  }
+
+  /**
+   * Lets `operator` withdraw and transfer every lock the signer owns, now or later
+   * @param {string} operator
+   * @param {boolean} approved `false` to revoke
+   */
+  async setOperator(operator, approved) {
+    await this._send(() => this.contract.setApprovalForAll(operator, approved));
+  }
+
+  /**
+   * Returns whether `operator` may withdraw and transfer a lock
+   * @param {number | bigint} lockId
+   * @param {string} operator
+   * @returns {Promise<boolean>}
+   */
+  async isOperator(lockId, operator) {
+    operator = getAddress(operator);
+    const lock = await this.getLock(lockId);
+    if (lock.owner === operator) {
+      return true;
+    }
+    const [approved, approvedForAll] = await this._call(() =>
+      Promise.all([this.contract.getApproved(lockId), this.contract.isApprovedForAll(lock.owner, operator)])
+    );
+    return approved === operator || approvedForAll;
+  }
+
+  _signer() {
+    if (typeof this.runner?.sendTransaction !== "function") {
+      throw new ClientError("A signer is required for this operation");
+    }
+    return this.runner;
+  }
+
+  async _now() {
+    const provider = this.runner.provider ?? this.runner;
+    return (await provider.getBlock("latest")).timestamp;
+  }
+
+  async _toLocks(locks, now) {
+    const withdrawable = await Promise.all(locks.map((lock) => this._call(() => this.contract.withdrawable(lock.id))));
+    return locks.map((lock, i) => toLock(lock, withdrawable[i], now));
+  }
+
+  async _ensureAllowance(token, account, amount) {
+    const erc20 = new Contract(token, ERC20_ABI, this.runner);
+    if ((await this._call(() => erc20.allowance(account, this.address))) < amount) {
+      await this._send(() => erc20.approve(this.address, amount));
+    }
+  }
+
+  async _call(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw decodeError(error, this.contract.interface);
+    }
+  }
+
+  async _send(fn) {
+    return this._call(async () => (await fn()).wait());
+  }
+
+  _event(receipt, name) {
+    for (const log of receipt.logs) {
+      if (log.address === this.address) {
+        const parsed = this.contract.interface.parseLog(log);
+        if (parsed?.name === name) {
+          return parsed.args;
+        }
+      }
+    }
+    throw new Error(`Transaction ${receipt.hash} did not emit ${name}`);
+  }
+}
+
+function toLock(lock, withdrawable, now) {
+  const unlockDate = Number(lock.unlockDate);
+  let status = "withdrawn";
+  if (!lock.withdrawn) {
+    status = now < unlockDate ? "locked" : "unlockable";
+  }
+
+  return {
+    id: Number(lock.id),
+    token: lock.token,
+    owner: lock.owner,
+    lockType: LOCK_TYPES[Number(lock.lockType)],
+    amount: lock.amount,
+    claimedAmount: lock.claimedAmount,
+    withdrawable,
+    startDate: Number(lock.startDate),
+    cliffDate: Number(lock.cliffDate),
+    unlockDate,
+    withdrawn: lock.withdrawn,
+    status,
+    timeRemaining: Math.max(0, unlockDate - now),
+  };
+}
+
+module.exports = { TokenLockerClient, TOKEN_LOCKER_ABI, NATIVE_TOKEN };
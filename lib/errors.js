@@ -0,0 +1,167 @@
+/**
+ * Error classes thrown by `TokenLockerClient`, mapped from the `KITSU_TOKENLOCKER:` revert
+ * strings of TokenLocker and TokenLockerSplitter and the OpenZeppelin custom errors, plus
+ * `ClientError` for misuse caught by the client before anything is sent.
+ */
+
+class TokenLockerError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {string} [options.reason] The revert reason without the `KITSU_TOKENLOCKER: ` prefix, or the custom error name
+   * @param {Error} [options.cause] The original error
+   */
+  constructor(message, { reason, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.reason = reason;
+  }
+}
+
+/** The caller is not allowed to act on the lock or the contract */
+class UnauthorizedError extends TokenLockerError {}
+
+/** The lock was never created or has been merged into another lock */
+class LockNotFoundError extends TokenLockerError {}
+
+/** Nothing can be withdrawn from the lock yet */
+class StillLockedError extends TokenLockerError {}
+
+/** The lock has already been fully withdrawn */
+class AlreadyWithdrawnError extends TokenLockerError {}
+
+/** The beneficiary has already claimed their share of everything a shared lock released so far */
+class NothingToClaimError extends TokenLockerError {}
+
+/** The ETH sent does not cover the fee or the locked amount */
+class IncorrectPaymentError extends TokenLockerError {}
+
+/** An EIP-712 signature is expired or was not signed by the lock owner */
+class SignatureError extends TokenLockerError {}
+
+/** The contract is paused: new locks, top-ups, splits, lock transfers and fee changes are rejected */
+class PausedError extends TokenLockerError {}
+
+/** A parameter was rejected by the contract or the client */
+class InvalidArgumentError extends TokenLockerError {}
+
+/** The client cannot perform the operation as configured, e.g. it was created without a signer */
+class ClientError extends TokenLockerError {}
+
+/** Tokens or ETH could not be moved, or the contract holds less of a token than it owes */
+class TokenTransferError extends TokenLockerError {}
+
+const REVERT_REASONS = {
+  "Not owner": UnauthorizedError,
+  "Not pending recipient": UnauthorizedError,
+  "Not guardian": UnauthorizedError,
+  "Not beneficiary": UnauthorizedError,
+  "Not the locker": UnauthorizedError,
+  "Lock does not exist": LockNotFoundError,
+  "Still locked": StillLockedError,
+  "Nothing to claim": NothingToClaimError,
+  "Already withdrawn": AlreadyWithdrawnError,
+  "Incorrect fee amount": IncorrectPaymentError,
+  "Incorrect ETH amount": IncorrectPaymentError,
+  "Signature expired": SignatureError,
+  "Invalid signature": SignatureError,
+  "Amount must be > 0": InvalidArgumentError,
+  "Unlock date must be in the future": InvalidArgumentError,
+  "Unlock date can only be extended": InvalidArgumentError,
+  "Start must be before end": InvalidArgumentError,
+  "Cliff out of range": InvalidArgumentError,
+  "Zero address not allowed": InvalidArgumentError,
+  "Empty array": InvalidArgumentError,
+  "Array length mismatch": InvalidArgumentError,
+  "Split exceeds lock amount": InvalidArgumentError,
+  "Nothing to merge": InvalidArgumentError,
+  "Duplicate lock": InvalidArgumentError,
+  "Token mismatch": InvalidArgumentError,
+  "Lock type mismatch": InvalidArgumentError,
+  "Vesting locks not supported": InvalidArgumentError,
+  "Not a factory pair": InvalidArgumentError,
+  "No pending transfer": InvalidArgumentError,
+  "Fee too high": InvalidArgumentError,
+  "Token blocked": InvalidArgumentError,
+  "Not rescuable": InvalidArgumentError,
+  "Invalid share": InvalidArgumentError,
+  "Invalid recipient": InvalidArgumentError,
+  "Duplicate beneficiary": InvalidArgumentError,
+  "Too many beneficiaries": InvalidArgumentError,
+  "Shares must sum to 100%": InvalidArgumentError,
+  "No tokens received": TokenTransferError,
+  "Token balance below locked total": TokenTransferError,
+  "ETH transfer failed": TokenTransferError,
+  "Fee withdrawal failed": TokenTransferError,
+};
+
+const CUSTOM_ERRORS = {
+  OwnableUnauthorizedAccount: UnauthorizedError,
+  ERC721InsufficientApproval: UnauthorizedError,
+  ERC721IncorrectOwner: UnauthorizedError,
+  ERC721NonexistentToken: LockNotFoundError,
+  ERC721InvalidReceiver: InvalidArgumentError,
+  EnforcedPause: PausedError,
+  ExpectedPause: InvalidArgumentError,
+  SafeERC20FailedOperation: TokenTransferError,
+};
+
+const REASON_PATTERN = /KITSU_TOKENLOCKER: ([^'"\n]+)/;
+const CUSTOM_ERROR_PATTERN = /custom error '(\w+)\(/;
+
+/**
+ * Converts a failed call or transaction into the matching `TokenLockerError` subclass.
+ * Errors that are not reverts (network failures, rejected signatures...) are returned unchanged.
+ * @param {Error} error The error thrown by ethers
+ * @param {import("ethers").Interface} [iface] Interface used to decode custom errors from revert data
+ * @returns {Error}
+ */
+function decodeError(error, iface) {
+  if (error instanceof TokenLockerError) {
+    return error;
+  }
+
+  const messages = [error.reason, error.shortMessage, error.message, error.error?.message];
+  for (const text of messages) {
+    const match = typeof text === "string" && REASON_PATTERN.exec(text);
+    if (match) {
+      const reason = match[1].trim();
+      const ErrorClass = REVERT_REASONS[reason] ?? TokenLockerError;
+      return new ErrorClass(reason, { reason, cause: error });
+    }
+  }
+
+  let customError = error.revert?.name;
+  if (!customError && iface && typeof error.data === "string") {
+    try {
+      customError = iface.parseError(error.data)?.name;
+    } catch {
+      // Empty revert data or a selector the interface does not know
+    }
+  }
+  if (!customError) {
+    customError = messages.map((text) => typeof text === "string" && CUSTOM_ERROR_PATTERN.exec(text)).find(Boolean)?.[1];
+  }
+  if (customError) {
+    const ErrorClass = CUSTOM_ERRORS[customError] ?? TokenLockerError;
+    return new ErrorClass(customError, { reason: customError, cause: error });
+  }
+
+  return error;
+}
+
+module.exports = {
+  TokenLockerError,
+  UnauthorizedError,
+  LockNotFoundError,
+  StillLockedError,
+  AlreadyWithdrawnError,
+  NothingToClaimError,
+  IncorrectPaymentError,
+  SignatureError,
+  PausedError,
+  InvalidArgumentError,
+  TokenTransferError,
+  ClientError,
+  decodeError,
+};
@@ -0,0 +1,404 @@
+const fs = require("fs");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const LOCK_TYPES = ["standard", "vesting", "liquidity"];
+
+const FEE_EVENTS = new Set([
+  "LockFeeUpdated",
+  "FeesWithdrawn",
+  "FeeModeUpdated",
+  "TokenFeeUpdated",
+  "FeeBpsUpdated",
+  "FeeRecipientUpdated",
+  "AccountFeeExemptionUpdated",
+  "TokenFeeExemptionUpdated",
+]);
+
+const LOCK_COLUMNS = [
+  "id",
+  "token",
+  "owner",
+  "lockType",
+  "amount",
+  "claimedAmount",
+  "unlockDate",
+  "startDate",
+  "cliffDate",
+  "withdrawn",
+  "burned",
+  "splitFrom",
+  "mergedInto",
+  "fee",
+  "createdBlock",
+  "createdTransaction",
+];
+const HISTORY_COLUMNS = ["lockId", "event", "block", "timestamp", "transaction", "logIndex", "args"];
+const OWNER_COLUMNS = ["lockId", "owner", "block", "timestamp", "transaction"];
+
+// Fields compared by `verify`, as read from `getLock`
+const VERIFIED_FIELDS = [
+  "token",
+  "owner",
+  "amount",
+  "unlockDate",
+  "startDate",
+  "cliffDate",
+  "claimedAmount",
+  "withdrawn",
+  "lockType",
+];
+
+const add = (a, b) => (BigInt(a) + BigInt(b)).toString();
+const sub = (a, b) => (BigInt(a) - BigInt(b)).toString();
+
+/**
+ * Converts event arguments into plain JSON values, with integers as decimal strings
+ */
+function eventArgs(event) {
+  return Object.fromEntries(
+    event.fragment.inputs.map((input, i) => {
+      const value = event.args[i];
+      return [input.name, typeof value === "bigint" ? value.toString() : value];
+    })
+  );
+}
+
+function toCSV(rows, columns) {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(escape).join(","))
+    .join("\n") + "\n";
+}
+
+/**
+ * Rebuilds the state and ownership history of every TokenLocker lock by replaying the
+ * contract events, and keeps it up to date incrementally.
+ *
+ * Amounts are kept as decimal strings so that the state can be saved as JSON and resumed
+ * later with `LockIndexer.load`. Start from the deployment block of the locker: events of
+ * locks created before `startBlock` cannot be replayed correctly.
+ */
+class LockIndexer {
+  /**
+   * @param {import("ethers").Contract} locker TokenLocker contract connected to a provider or signer
+   * @param {object} [options]
+   * @param {number} [options.startBlock=0] First block to replay, normally the deployment block
+   * @param {number} [options.batchSize=2000] Maximum number of blocks per log query
+   * @param {number} [options.confirmations=0] Number of most recent blocks left out of `sync`
+   */
+  constructor(locker, { startBlock = 0, batchSize = 2000, confirmations = 0 } = {}) {
+    this.locker = locker;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.state = { startBlock, lastBlock: startBlock - 1, locks: {}, fees: [] };
+    this._timestamps = new Map();
+  }
+
+  /**
+   * Restores an indexer from the output of `toJSON`
+   */
+  static fromJSON(locker, json, options = {}) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    if (data.locker.toLowerCase() !== locker.target.toLowerCase()) {
+      throw new Error(`Index belongs to ${data.locker}, not ${locker.target}`);
+    }
+
+    const indexer = new LockIndexer(locker, { ...options, startBlock: data.startBlock });
+    indexer.state = { startBlock: data.startBlock, lastBlock: data.lastBlock, locks: data.locks, fees: data.fees };
+    return indexer;
+  }
+
+  /**
+   * Restores an indexer saved with `save`, or starts a new one when `file` does not exist
+   */
+  static load(locker, file, options = {}) {
+    if (!fs.existsSync(file)) {
+      return new LockIndexer(locker, options);
+    }
+    return LockIndexer.fromJSON(locker, fs.readFileSync(file, "utf8"), options);
+  }
+
+  /** Last block whose events have been applied */
+  get lastBlock() {
+    return this.state.lastBlock;
+  }
+
+  /** Indexed locks, in lock ID order */
+  get locks() {
+    return Object.values(this.state.locks).sort((a, b) => a.id - b.id);
+  }
+
+  /** Fee configuration changes and fee withdrawals, in chain order */
+  get fees() {
+    return this.state.fees;
+  }
+
+  /**
+   * Replays the events emitted after the last processed block
+   * @param {number} [toBlock] Last block to process, defaults to the chain head minus `confirmations`
+   * @returns {Promise<number>} The number of events applied
+   */
+  async sync(toBlock) {
+    if (toBlock === undefined) {
+      toBlock = (await this._provider().getBlockNumber()) - this.confirmations;
+    }
+
+    let applied = 0;
+    for (let fromBlock = this.state.lastBlock + 1; fromBlock <= toBlock; fromBlock += this.batchSize) {
+      const endBlock = Math.min(fromBlock + this.batchSize - 1, toBlock);
+      const events = await this.locker.queryFilter("*", fromBlock, endBlock);
+
+      for (const event of events) {
+        if (event.eventName && (await this._apply(event))) {
+          applied++;
+        }
+      }
+      this.state.lastBlock = endBlock;
+      this._timestamps.clear();
+    }
+    return applied;
+  }
+
+  /**
+   * Compares every indexed lock with `getLock`. Locks removed by a merge must be deleted on chain.
+   * @returns {Promise<Array<{lockId: number, field: string, indexed: *, onChain: *}>>} The differences found
+   */
+  async verify() {
+    const mismatches = [];
+    for (const lock of this.locks) {
+      const onChain = await this.locker.getLock(lock.id);
+      const actual = {
+        token: onChain.token,
+        owner: onChain.owner,
+        amount: onChain.amount.toString(),
+        unlockDate: Number(onChain.unlockDate),
+        startDate: Number(onChain.startDate),
+        cliffDate: Number(onChain.cliffDate),
+        claimedAmount: onChain.claimedAmount.toString(),
+        withdrawn: onChain.withdrawn,
+        lockType: LOCK_TYPES[Number(onChain.lockType)],
+      };
+      const expected = lock.burned ? { token: ZERO_ADDRESS, owner: ZERO_ADDRESS, amount: "0" } : lock;
+
+      for (const field of lock.burned ? Object.keys(expected) : VERIFIED_FIELDS) {
+        if (actual[field] !== expected[field]) {
+          mismatches.push({ lockId: lock.id, field, indexed: expected[field], onChain: actual[field] });
+        }
+      }
+    }
+    return mismatches;
+  }
+
+  /**
+   * Returns the indexed state as a JSON-serializable object
+   */
+  toJSON() {
+    return { locker: this.locker.target, ...this.state };
+  }
+
+  /**
+   * Returns the indexed state as a JSON document, which `fromJSON` can resume from
+   */
+  exportJSON() {
+    return JSON.stringify(this.toJSON(), null, 2);
+  }
+
+  /**
+   * Saves the indexed state to `file` so that `load` can resume from the last processed block
+   */
+  save(file) {
+    fs.writeFileSync(file, this.exportJSON());
+  }
+
+  /**
+   * Returns one CSV row per lock with its current state
+   */
+  locksCSV() {
+    return toCSV(this.locks, LOCK_COLUMNS);
+  }
+
+  /**
+   * Returns one CSV row per lock event, with the event arguments as JSON
+   */
+  historyCSV() {
+    const rows = this.locks.flatMap((lock) => lock.history.map((entry) => ({ lockId: lock.id, ...entry })));
+    return toCSV(rows.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex), HISTORY_COLUMNS);
+  }
+
+  /**
+   * Returns one CSV row per owner of each lock, from mint to the current owner (or burn)
+   */
+  ownersCSV() {
+    const rows = this.locks.flatMap((lock) => lock.owners.map((entry) => ({ lockId: lock.id, ...entry })));
+    return toCSV(rows.sort((a, b) => a.block - b.block || a.lockId - b.lockId), OWNER_COLUMNS);
+  }
+
+  /**
+   * Returns the indexed lock with ID `lockId`, creating an empty one the first time it is seen
+   */
+  _lock(lockId) {
+    const id = Number(lockId);
+    if (!this.state.locks[id]) {
+      this.state.locks[id] = {
+        id,
+        token: ZERO_ADDRESS,
+        owner: ZERO_ADDRESS,
+        lockType: "standard",
+        amount: "0",
+        claimedAmount: "0",
+        unlockDate: 0,
+        startDate: 0,
+        cliffDate: 0,
+        withdrawn: false,
+        burned: false,
+        splitFrom: null,
+        mergedInto: null,
+        pendingTransfer: null,
+        liquidity: null,
+        fee: null,
+        createdBlock: null,
+        createdTransaction: null,
+        owners: [],
+        history: [],
+      };
+    }
+    return this.state.locks[id];
+  }
+
+  _provider() {
+    return this.locker.runner.provider ?? this.locker.runner;
+  }
+
+  async _timestamp(blockNumber) {
+    if (!this._timestamps.has(blockNumber)) {
+      const block = await this._provider().getBlock(blockNumber);
+      this._timestamps.set(blockNumber, block.timestamp);
+    }
+    return this._timestamps.get(blockNumber);
+  }
+
+  /**
+   * Applies a single event to the indexed state
+   * @returns {Promise<boolean>} Whether the event is tracked by the indexer
+   */
+  async _apply(event) {
+    const name = event.eventName;
+    const args = event.args;
+    const entry = {
+      block: event.blockNumber,
+      timestamp: await this._timestamp(event.blockNumber),
+      transaction: event.transactionHash,
+      logIndex: event.index,
+    };
+
+    if (FEE_EVENTS.has(name)) {
+      this.state.fees.push({ event: name, ...entry, args: eventArgs(event) });
+      return true;
+    }
+
+    if (name === "Transfer") {
+      // ERC-721 mints, transfers and burns of the lock NFT drive the ownership history
+      const lock = this._lock(args.tokenId);
+      lock.owner = args.to;
+      lock.burned = args.to === ZERO_ADDRESS;
+      lock.pendingTransfer = null;
+      lock.owners.push({ owner: args.to, block: entry.block, timestamp: entry.timestamp, transaction: entry.transaction });
+      return true;
+    }
+
+    if (args === undefined || args.lockId === undefined) {
+      return false;
+    }
+
+    const lock = this._lock(args.lockId);
+    switch (name) {
+      case "TokenLocked":
+        Object.assign(lock, {
+          token: args.token,
+          amount: args.amount.toString(),
+          unlockDate: Number(args.unlockDate),
+          startDate: entry.timestamp,
+          cliffDate: Number(args.unlockDate),
+          fee: args.fee.toString(),
+          createdBlock: entry.block,
+          createdTransaction: entry.transaction,
+        });
+        break;
+      case "VestingLockCreated":
+        Object.assign(lock, {
+          lockType: "vesting",
+          startDate: Number(args.startDate),
+          cliffDate: Number(args.cliffDate),
+        });
+        break;
+      case "LiquidityLocked":
+        lock.lockType = "liquidity";
+        lock.liquidity = { pair: args.pair, token0: args.token0, token1: args.token1 };
+        break;
+      case "LockSplit": {
+        const newLock = this._lock(args.newLockId);
+        Object.assign(newLock, {
+          token: lock.token,
+          lockType: lock.lockType,
+          amount: args.amount.toString(),
+          claimedAmount: lock.claimedAmount,
+          unlockDate: lock.unlockDate,
+          startDate: lock.startDate,
+          cliffDate: lock.cliffDate,
+          liquidity: lock.liquidity && { ...lock.liquidity },
+          splitFrom: lock.id,
+          createdBlock: entry.block,
+          createdTransaction: entry.transaction,
+        });
+        newLock.history.push({ event: name, ...entry, args: eventArgs(event) });
+        lock.amount = sub(lock.amount, args.amount);
+        break;
+      }
+      case "LocksMerged": {
+        const merged = this._lock(args.mergedLockId);
+        lock.amount = add(lock.amount, args.amount);
+        if (merged.unlockDate > lock.unlockDate) {
+          lock.unlockDate = merged.unlockDate;
+          lock.cliffDate = merged.unlockDate;
+        }
+        merged.mergedInto = lock.id;
+        merged.history.push({ event: name, ...entry, args: eventArgs(event) });
+        break;
+      }
+      case "TokensReleased":
+        lock.claimedAmount = add(lock.claimedAmount, args.claimedAmount);
+        break;
+      case "TokenWithdrawn":
+        lock.withdrawn = true;
+        break;
+      case "LockExtended":
+        lock.unlockDate = Number(args.newUnlockDate);
+        if (lock.lockType !== "vesting") {
+          lock.cliffDate = lock.unlockDate;
+        }
+        break;
+      case "LockToppedUp":
+        lock.amount = add(lock.amount, args.amount);
+        break;
+      case "LockTransferProposed":
+        lock.pendingTransfer = args.to;
+        break;
+      case "LockTransferCancelled":
+        lock.pendingTransfer = null;
+        break;
+      case "LockTransferred":
+      case "LockTransferAccepted":
+        break;
+      default:
+        return false;
+    }
+
+    lock.history.push({ event: name, ...entry, args: eventArgs(event) });
+    return true;
+  }
+}
+
+module.exports = { LockIndexer, LOCK_TYPES };
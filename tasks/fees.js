@@ -0,0 +1,94 @@
+const { task, types } = require("hardhat/config");
+const { LOCKER_PARAM, JSON_FLAG, FEE_MODES, TaskError, getLocker, getTokenInfo, printRecord, findEvent } = require("./utils");
+
+/**
+ * Reads the fee configuration of the locker as printable values
+ */
+async function loadFeeConfig(hre, locker) {
+  const [mode, lockFee, feeToken, tokenFeeAmount, feeBps, feeRecipient, accumulatedFees] = await Promise.all([
+    locker.feeMode(),
+    locker.lockFee(),
+    locker.feeToken(),
+    locker.tokenFeeAmount(),
+    locker.feeBps(),
+    locker.feeRecipient(),
+    locker.accumulatedFees(),
+  ]);
+  const feeTokenInfo = feeToken === hre.ethers.ZeroAddress ? undefined : await getTokenInfo(hre, feeToken);
+
+  return {
+    mode: FEE_MODES[Number(mode)],
+    lockFee: `${hre.ethers.formatEther(lockFee)} ETH`,
+    tokenFee: feeTokenInfo
+      ? `${hre.ethers.formatUnits(tokenFeeAmount, feeTokenInfo.decimals)} ${feeTokenInfo.symbol} (${feeToken})`
+      : "-",
+    feeBps: Number(feeBps),
+    feeRecipient,
+    accumulatedFees: `${hre.ethers.formatEther(accumulatedFees)} ETH`,
+  };
+}
+
+task("fees:set", "Updates the fee configuration (owner only). Amounts are set before the mode is switched")
+  .addOptionalParam("mode", `Fee mode: ${FEE_MODES.join(", ")}`)
+  .addOptionalParam("fee", "Flat ETH fee, in ETH (e.g. 0.0025)")
+  .addOptionalParam("feeToken", "ERC20 token of the flat token fee (defaults to the current one)")
+  .addOptionalParam("tokenFee", "Flat token fee, in fee token units")
+  .addOptionalParam("bps", "Percentage fee, in basis points", undefined, types.int)
+  .addOptionalParam("recipient", "Fee recipient address")
+  .addOptionalParam("locker", LOCKER_PARAM)
+  .addFlag("json", JSON_FLAG)
+  .setAction(async (args, hre) => {
+    const mode = args.mode === undefined ? undefined : FEE_MODES.indexOf(args.mode);
+    if (mode === -1) {
+      throw new TaskError(`Invalid fee mode "${args.mode}". Use one of ${FEE_MODES.join(", ")}`);
+    }
+    if ([args.mode, args.fee, args.feeToken, args.tokenFee, args.bps, args.recipient].every((value) => value === undefined)) {
+      throw new TaskError("Nothing to update. Pass at least one of --mode, --fee, --fee-token, --token-fee, --bps or --recipient");
+    }
+    if (args.recipient !== undefined && !hre.ethers.isAddress(args.recipient)) {
+      throw new TaskError(`Invalid address "${args.recipient}"`);
+    }
+
+    const locker = await getLocker(hre, args.locker);
+    const send = async (tx) => (await tx).wait();
+
+    if (args.fee !== undefined) {
+      await send(locker.updateLockFee(hre.ethers.parseEther(args.fee)));
+    }
+    if (args.feeToken !== undefined || args.tokenFee !== undefined) {
+      const feeToken = await getTokenInfo(hre, args.feeToken ?? (await locker.feeToken()));
+      if (feeToken.native) {
+        throw new TaskError("Pass --fee-token: no fee token is configured yet");
+      }
+      const amount = args.tokenFee === undefined
+        ? await locker.tokenFeeAmount()
+        : hre.ethers.parseUnits(args.tokenFee, feeToken.decimals);
+      await send(locker.setTokenFee(feeToken.address, amount));
+    }
+    if (args.bps !== undefined) {
+      await send(locker.setFeeBps(args.bps));
+    }
+    if (args.recipient !== undefined) {
+      await send(locker.setFeeRecipient(args.recipient));
+    }
+    if (mode !== undefined) {
+      await send(locker.setFeeMode(mode));
+    }
+
+    const config = await loadFeeConfig(hre, locker);
+    printRecord(config, args.json);
+    return config;
+  });
+
+task("fees:withdraw", "Sends the accumulated ETH fees to the fee recipient (owner only)")
+  .addOptionalParam("locker", LOCKER_PARAM)
+  .addFlag("json", JSON_FLAG)
+  .setAction(async (args, hre) => {
+    const locker = await getLocker(hre, args.locker);
+    const receipt = await (await locker.withdrawFees()).wait();
+    const { amount, recipient } = findEvent(locker, receipt, "FeesWithdrawn").args;
+
+    const result = { amount: `${hre.ethers.formatEther(amount)} ETH`, recipient, transaction: receipt.hash };
+    printRecord(result, args.json);
+    return result;
+  });
@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { LockIndexer } = require("../lib/indexer");
+const { LOCKER_PARAM, JSON_FLAG, TaskError, getLocker, printRecord } = require("./utils");
+
+task("lock:index", "Replays the locker events into a resumable index, optionally exporting it as CSV")
+  .addOptionalParam("state", "Index file, resumed from its last processed block when it exists", "lock-index.json")
+  .addOptionalParam("fromBlock", "First block to replay when starting a new index, normally the deployment block", 0, types.int)
+  .addOptionalParam("csv", "Directory to write locks.csv, history.csv and owners.csv to")
+  .addFlag("verify", "Compare every indexed lock with getLock and fail on differences")
+  .addOptionalParam("locker", LOCKER_PARAM)
+  .addFlag("json", JSON_FLAG)
+  .setAction(async (args, hre) => {
+    const locker = await getLocker(hre, args.locker);
+    const indexer = LockIndexer.load(locker, args.state, { startBlock: args.fromBlock });
+
+    const applied = await indexer.sync();
+    indexer.save(args.state);
+
+    if (args.csv) {
+      fs.mkdirSync(args.csv, { recursive: true });
+      fs.writeFileSync(path.join(args.csv, "locks.csv"), indexer.locksCSV());
+      fs.writeFileSync(path.join(args.csv, "history.csv"), indexer.historyCSV());
+      fs.writeFileSync(path.join(args.csv, "owners.csv"), indexer.ownersCSV());
+    }
+
+    const summary = {
+      state: args.state,
+      lastBlock: indexer.lastBlock,
+      eventsApplied: applied,
+      locks: indexer.locks.length,
+    };
+    if (args.verify) {
+      const mismatches = await indexer.verify();
+      if (mismatches.length > 0) {
+        const [first] = mismatches;
+        throw new TaskError(
+          `${mismatches.length} differences with getLock, first: lock ${first.lockId} ${first.field} is ` +
+            `${first.indexed} in the index and ${first.onChain} on chain`
+        );
+      }
+      summary.verified = true;
+    }
+
+    printRecord(summary, args.json);
+    return summary;
+  });
@@ -0,0 +1,157 @@
+const { task, types } = require("hardhat/config");
+const {
+  LOCKER_PARAM,
+  JSON_FLAG,
+  TaskError,
+  parseUnlockDate,
+  getLocker,
+  getTokenInfo,
+  ensureAllowance,
+  latestTimestamp,
+  describeLock,
+  printRows,
+  printRecord,
+  findEvent,
+} = require("./utils");
+
+const LIST_COLUMNS = ["id", "symbol", "owner", "amount", "withdrawable", "unlockDate", "status"];
+
+/**
+ * Loads a lock and the metadata of its token, and converts it into printable values
+ */
+async function loadLock(hre, locker, lockId, tokens = new Map()) {
+  const lock = await locker.getLock(lockId);
+  if (!tokens.has(lock.token)) {
+    tokens.set(lock.token, await getTokenInfo(hre, lock.token));
+  }
+  return describeLock(hre, locker, lock, tokens.get(lock.token), await latestTimestamp(hre));
+}
+
+task("lock:create", "Locks tokens, approving the locker first when needed")
+  .addParam("token", "Token address, or \"eth\" for native ETH")
+  .addParam("amount", "Amount to lock, in token units (e.g. 1.5)")
+  .addParam("unlock", "Unlock date: a duration from now (30m, 12h, 90d, 2w), a unix timestamp or an ISO date")
+  .addOptionalParam("locker", LOCKER_PARAM)
+  .addFlag("json", JSON_FLAG)
+  .setAction(async (args, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const locker = await getLocker(hre, args.locker);
+    const token = await getTokenInfo(hre, args.token);
+    const amount = hre.ethers.parseUnits(args.amount, token.decimals);
+    const unlockDate = parseUnlockDate(args.unlock, await latestTimestamp(hre));
+
+    // The fee depends on the mode: ETH on top of the call, an ERC20 allowance, or a cut of `amount`
+    const [mode, fee] = await locker.quoteFee(signer.address, token.address, amount);
+    const allowances = new Map();
+    let value = token.native ? amount : 0n;
+    if (Number(mode) === 0) {
+      value += fee;
+    } else if (Number(mode) === 1 && fee > 0n) {
+      allowances.set(await locker.feeToken(), fee);
+    }
+    if (!token.native) {
+      allowances.set(token.address, (allowances.get(token.address) ?? 0n) + amount);
+    }
+    for (const [allowanceToken, required] of allowances) {
+      await ensureAllowance(hre, signer, allowanceToken, locker.target, required);
+    }
+
+    const receipt = await (await locker.lockTokens(token.address, amount, unlockDate, { value })).wait();
+    const { lockId } = findEvent(locker, receipt, "TokenLocked").args;
+
+    const lock = await loadLock(hre, locker, lockId);
+    printRecord({ ...lock, transaction: receipt.hash }, args.json);
+    return lock;
+  });
+
+task("lock:withdraw", "Withdraws the unlocked tokens of a lock, as its owner or an approved operator")
+  .addParam("id", "Lock ID", undefined, types.int)
+  .addOptionalParam("to", "Recipient of the tokens, defaults to the lock owner")
+  .addOptionalParam("locker", LOCKER_PARAM)
+  .addFlag("json", JSON_FLAG)
+  .setAction(async (args, hre) => {
+    if (args.to !== undefined && !hre.ethers.isAddress(args.to)) {
+      throw new TaskError(`Invalid address "${args.to}"`);
+    }
+
+    const locker = await getLocker(hre, args.locker);
+    const tx = args.to === undefined ? await locker["withdraw(uint256)"](args.id) : await locker["withdraw(uint256,address)"](args.id, args.to);
+    const receipt = await tx.wait();
+    const { amount } = findEvent(locker, receipt, "TokensReleased").args;
+
+    const lock = await loadLock(hre, locker, args.id);
+    const token = await getTokenInfo(hre, lock.token);
+    printRecord({ ...lock, released: hre.ethers.formatUnits(amount, token.decimals), transaction: receipt.hash }, args.json);
+    return lock;
+  });
+
+task("lock:transfer", "Transfers ownership of a lock, as its owner or an approved operator")
+  .addParam("id", "Lock ID", undefined, types.int)
+  .addParam("to", "New owner address")
+  .addOptionalParam("locker", LOCKER_PARAM)
+  .addFlag("json", JSON_FLAG)
+  .setAction(async (args, hre) => {
+    if (!hre.ethers.isAddress(args.to)) {
+      throw new TaskError(`Invalid address "${args.to}"`);
+    }
+
+    const locker = await getLocker(hre, args.locker);
+    const receipt = await (await locker.transferLock(args.id, args.to)).wait();
+
+    const lock = await loadLock(hre, locker, args.id);
+    printRecord({ ...lock, transaction: receipt.hash }, args.json);
+    return lock;
+  });
+
+task("lock:show", "Shows a lock")
+  .addParam("id", "Lock ID", undefined, types.int)
+  .addOptionalParam("locker", LOCKER_PARAM)
+  .addFlag("json", JSON_FLAG)
+  .setAction(async (args, hre) => {
+    const locker = await getLocker(hre, args.locker);
+    // Locks that were never created or were merged into another lock have no owner
+    if ((await locker.getLock(args.id)).owner === hre.ethers.ZeroAddress) {
+      throw new TaskError(`Lock ${args.id} does not exist`);
+    }
+
+    const lock = await loadLock(hre, locker, args.id);
+    printRecord(lock, args.json);
+    return lock;
+  });
+
+task("lock:list", "Lists the locks of a user or a token")
+  .addOptionalParam("user", "Owner address")
+  .addOptionalParam("token", "Token address, or \"eth\" for native ETH")
+  .addOptionalParam("status", "Only show locks with this status: locked, unlockable or withdrawn")
+  .addOptionalParam("offset", "Number of locks to skip", 0, types.int)
+  .addOptionalParam("limit", "Maximum number of locks to read", 50, types.int)
+  .addOptionalParam("locker", LOCKER_PARAM)
+  .addFlag("json", JSON_FLAG)
+  .setAction(async (args, hre) => {
+    if (!args.user === !args.token) {
+      throw new TaskError("Pass exactly one of --user or --token");
+    }
+    if (args.user && !hre.ethers.isAddress(args.user)) {
+      throw new TaskError(`Invalid address "${args.user}"`);
+    }
+    if (args.status && !["locked", "unlockable", "withdrawn"].includes(args.status)) {
+      throw new TaskError(`Invalid status "${args.status}"`);
+    }
+
+    const locker = await getLocker(hre, args.locker);
+    const lockIds = args.user
+      ? await locker.getUserLocksPaginated(args.user, args.offset, args.limit)
+      : await locker.getTokenLocksPaginated((await getTokenInfo(hre, args.token)).address, args.offset, args.limit);
+
+    const tokens = new Map();
+    const locks = [];
+    for (const lockId of lockIds) {
+      const lock = await loadLock(hre, locker, lockId, tokens);
+      if (!args.status || lock.status === args.status) {
+        locks.push(lock);
+      }
+    }
+
+    printRows(locks, LIST_COLUMNS, args.json);
+    return locks;
+  });
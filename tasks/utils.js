@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const PLUGIN_NAME = "kitsu-tokenlocker";
+const NATIVE_TOKEN = "0x0000000000000000000000000000000000000000";
+
+const LOCKER_PARAM = "TokenLocker address (defaults to the TokenLockerModule Ignition deployment)";
+const JSON_FLAG = "Print JSON instead of a table";
+
+const LOCK_TYPES = ["standard", "vesting", "liquidity"];
+const FEE_MODES = ["flat-eth", "flat-token", "percentage"];
+
+const DURATION_UNITS = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60,
+};
+
+class TaskError extends HardhatPluginError {
+  constructor(message) {
+    super(PLUGIN_NAME, message);
+  }
+}
+
+/**
+ * Parses an unlock date given as a duration from `now` (`30m`, `12h`, `90d`, `2w`),
+ * a unix timestamp in seconds or an ISO 8601 date.
+ * @param {string} value The unlock date as entered on the command line
+ * @param {number} now The current timestamp in seconds
+ * @returns {number} The unlock timestamp in seconds
+ */
+function parseUnlockDate(value, now) {
+  const duration = /^(\d+)([smhdw])$/.exec(value);
+  if (duration) {
+    return now + Number(duration[1]) * DURATION_UNITS[duration[2]];
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  const millis = Date.parse(value);
+  if (Number.isNaN(millis)) {
+    throw new TaskError(`Invalid unlock date "${value}". Use a duration (90d), a unix timestamp or an ISO date`);
+  }
+  return Math.floor(millis / 1000);
+}
+
+/**
+ * Returns the TokenLocker at `address`, or the one deployed by `TokenLockerModule`
+ * on the current network when no address is given.
+ */
+async function getLocker(hre, address) {
+  if (!address) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const ignitionPath = hre.config.paths.ignition ?? path.join(hre.config.paths.root, "ignition");
+    const file = path.join(ignitionPath, "deployments", `chain-${chainId}`, "deployed_addresses.json");
+    address = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8"))["TokenLockerModule#TokenLocker"] : undefined;
+    if (!address) {
+      throw new TaskError(`No TokenLocker deployment found for chain ${chainId}. Pass --locker <address>`);
+    }
+  }
+  return hre.ethers.getContractAt("TokenLocker", address);
+}
+
+/**
+ * Returns the address, symbol and decimals of a token. `eth` and the zero address stand for native ETH.
+ * Tokens that do not expose `symbol` or `decimals` fall back to `???` and 18.
+ */
+async function getTokenInfo(hre, token) {
+  if (token.toLowerCase() === "eth" || token === NATIVE_TOKEN) {
+    return { address: NATIVE_TOKEN, symbol: "ETH", decimals: 18, native: true };
+  }
+  if (!hre.ethers.isAddress(token)) {
+    throw new TaskError(`Invalid token address "${token}"`);
+  }
+
+  const contract = await hre.ethers.getContractAt("IERC20Metadata", token);
+  const [symbol, decimals] = await Promise.all([
+    contract.symbol().catch(() => "???"),
+    contract.decimals().catch(() => 18n),
+  ]);
+  return { address: hre.ethers.getAddress(token), symbol, decimals: Number(decimals), native: false };
+}
+
+/**
+ * Approves `spender` for `amount` of `token` unless the current allowance already covers it
+ */
+async function ensureAllowance(hre, signer, token, spender, amount) {
+  const contract = await hre.ethers.getContractAt("IERC20Metadata", token, signer);
+  if ((await contract.allowance(signer.address, spender)) < amount) {
+    await (await contract.approve(spender, amount)).wait();
+  }
+}
+
+async function latestTimestamp(hre) {
+  return (await hre.ethers.provider.getBlock("latest")).timestamp;
+}
+
+/**
+ * Converts a lock returned by `getLock` into printable values, with amounts in token units
+ */
+async function describeLock(hre, locker, lock, tokenInfo, now) {
+  const format = (amount) => hre.ethers.formatUnits(amount, tokenInfo.decimals);
+  let status = "withdrawn";
+  if (!lock.withdrawn) {
+    status = now < Number(lock.unlockDate) ? "locked" : "unlockable";
+  }
+
+  return {
+    id: Number(lock.id),
+    token: lock.token,
+    symbol: tokenInfo.symbol,
+    owner: lock.owner,
+    type: LOCK_TYPES[Number(lock.lockType)],
+    amount: format(lock.amount),
+    claimed: format(lock.claimedAmount),
+    withdrawable: format(await locker.withdrawable(lock.id)),
+    unlockDate: new Date(Number(lock.unlockDate) * 1000).toISOString(),
+    status,
+  };
+}
+
+/**
+ * Prints `rows` as JSON, or as a table with one column per entry of `columns`
+ */
+function printRows(rows, columns, json) {
+  if (json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  if (rows.length === 0) {
+    console.log("No results");
+    return;
+  }
+
+  const widths = columns.map((column) => Math.max(column.length, ...rows.map((row) => String(row[column]).length)));
+  const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd();
+
+  console.log(line(columns));
+  console.log(line(widths.map((width) => "-".repeat(width))));
+  for (const row of rows) {
+    console.log(line(columns.map((column) => row[column])));
+  }
+}
+
+/**
+ * Prints a single record as JSON, or as a two-column field/value table
+ */
+function printRecord(record, json) {
+  if (json) {
+    console.log(JSON.stringify(record, null, 2));
+    return;
+  }
+  printRows(
+    Object.entries(record).map(([field, value]) => ({ field, value })),
+    ["field", "value"],
+    false
+  );
+}
+
+/**
+ * Returns the first event named `name` emitted by `contract` in `receipt`
+ */
+function findEvent(contract, receipt, name) {
+  for (const log of receipt.logs) {
+    if (log.address !== contract.target) {
+      continue;
+    }
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === name) {
+      return parsed;
+    }
+  }
+  throw new TaskError(`Transaction ${receipt.hash} did not emit ${name}`);
+}
+
+module.exports = {
+  NATIVE_TOKEN,
+  LOCKER_PARAM,
+  JSON_FLAG,
+  LOCK_TYPES,
+  FEE_MODES,
+  TaskError,
+  parseUnlockDate,
+  getLocker,
+  getTokenInfo,
+  ensureAllowance,
+  latestTimestamp,
+  describeLock,
+  printRows,
+  printRecord,
+  findEvent,
+};
@@ -0,0 +1,267 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    TokenLockerClient,
+    TOKEN_LOCKER_ABI,
+    NATIVE_TOKEN,
+    TokenLockerError,
+    UnauthorizedError,
+    LockNotFoundError,
+    StillLockedError,
+    AlreadyWithdrawnError,
+    NothingToClaimError,
+    IncorrectPaymentError,
+    PausedError,
+    InvalidArgumentError,
+    ClientError,
+    decodeError,
+} = require("..");
+
+describe("TokenLockerClient", function () {
+    let tokenLocker, mockToken;
+    let owner, user1, user2;
+    let client, unlockDate;
+    const amount = ethers.parseEther("100");
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockERC20.deploy("Mock Token", "MTK");
+        const TokenLocker = await ethers.getContractFactory("TokenLocker");
+        tokenLocker = await TokenLocker.deploy();
+        await mockToken.mint(user1.address, ethers.parseEther("1000"));
+
+        client = new TokenLockerClient(tokenLocker.target, user1);
+        unlockDate = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    });
+
+    it("Should only use functions, events and errors of the compiled contract", async function () {
+        const compiled = new ethers.Interface((await ethers.getContractFactory("TokenLocker")).interface.fragments);
+        const sdk = new ethers.Interface(TOKEN_LOCKER_ABI);
+
+        sdk.forEachFunction((fragment) => expect(compiled.getFunction(fragment.format()), fragment.format()).to.not.equal(null));
+        sdk.forEachEvent((fragment) => expect(compiled.getEvent(fragment.format()), fragment.format()).to.not.equal(null));
+        sdk.forEachError((fragment) => expect(compiled.getError(fragment.format()), fragment.format()).to.not.equal(null));
+    });
+
+    describe("lock", function () {
+        it("Should approve the token and pay the ETH fee", async function () {
+            const lock = await client.lock(mockToken.target, amount, unlockDate);
+
+            expect(lock).to.deep.include({
+                id: 0,
+                token: mockToken.target,
+                owner: user1.address,
+                lockType: "standard",
+                amount,
+                claimedAmount: 0n,
+                withdrawable: 0n,
+                unlockDate,
+                withdrawn: false,
+                status: "locked",
+            });
+            expect(lock.timeRemaining).to.be.closeTo(3600, 5);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(ethers.parseEther("0.0025"));
+        });
+
+        it("Should reuse an existing allowance", async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("500"));
+            await client.lock(mockToken.target, amount, unlockDate);
+
+            expect(await mockToken.allowance(user1.address, tokenLocker.target)).to.equal(ethers.parseEther("400"));
+        });
+
+        it("Should accept the locker address in any case", async function () {
+            const lowercase = new TokenLockerClient(tokenLocker.target.toLowerCase(), user1);
+            expect(lowercase.address).to.equal(tokenLocker.target);
+
+            const lock = await lowercase.lock(mockToken.target, amount, unlockDate);
+            expect(lock.id).to.equal(0);
+        });
+
+        it("Should lock native ETH", async function () {
+            const lock = await client.lock(NATIVE_TOKEN, ethers.parseEther("1"), unlockDate);
+
+            expect(lock.token).to.equal(NATIVE_TOKEN);
+            expect(await ethers.provider.getBalance(tokenLocker.target)).to.equal(ethers.parseEther("1.0025"));
+        });
+
+        it("Should pay a flat ERC20 fee", async function () {
+            await tokenLocker.setTokenFee(mockToken.target, ethers.parseEther("5"));
+            await tokenLocker.setFeeMode(1);
+
+            expect(await client.quoteFee(mockToken.target, amount)).to.deep.equal({
+                mode: "flat-token",
+                fee: ethers.parseEther("5"),
+                feeToken: mockToken.target,
+            });
+            await client.lock(mockToken.target, amount, unlockDate);
+            expect(await mockToken.balanceOf(owner.address)).to.equal(ethers.parseEther("1000005"));
+        });
+
+        it("Should lock net of a percentage fee", async function () {
+            await tokenLocker.setFeeBps(100);
+            await tokenLocker.setFeeMode(2);
+
+            const lock = await client.lock(mockToken.target, amount, unlockDate);
+            expect(lock.amount).to.equal(ethers.parseEther("99"));
+        });
+
+        it("Should map validation reverts to InvalidArgumentError", async function () {
+            const error = await client.lock(mockToken.target, amount, 1).catch((e) => e);
+
+            expect(error).to.be.instanceOf(InvalidArgumentError);
+            expect(error).to.be.instanceOf(TokenLockerError);
+            expect(error.reason).to.equal("Unlock date must be in the future");
+        });
+
+        it("Should throw PausedError while the locker is paused", async function () {
+            await tokenLocker.pause();
+            await expect(client.lock(mockToken.target, amount, unlockDate)).to.be.rejectedWith(PausedError, "EnforcedPause");
+        });
+
+        it("Should require a signer", async function () {
+            const readOnly = new TokenLockerClient(tokenLocker.target, ethers.provider);
+            await expect(readOnly.lock(mockToken.target, amount, unlockDate)).to.be.rejectedWith(ClientError, "A signer is required");
+        });
+    });
+
+    describe("withdraw and transfer", function () {
+        beforeEach(async function () {
+            await client.lock(mockToken.target, amount, unlockDate);
+        });
+
+        it("Should throw StillLockedError before the unlock date", async function () {
+            await expect(client.withdraw(0)).to.be.rejectedWith(StillLockedError, "Still locked");
+        });
+
+        it("Should withdraw once unlocked", async function () {
+            await increaseTime(3600);
+            expect((await client.getLock(0)).status).to.equal("unlockable");
+            expect((await client.getLock(0)).withdrawable).to.equal(amount);
+
+            const { lock, released } = await client.withdraw(0);
+            expect(released).to.equal(amount);
+            expect(lock).to.deep.include({ status: "withdrawn", withdrawable: 0n, claimedAmount: amount, timeRemaining: 0 });
+
+            await expect(client.withdraw(0)).to.be.rejectedWith(AlreadyWithdrawnError);
+        });
+
+        it("Should report the payout of the contract when the balance is short", async function () {
+            const MockRebasingERC20 = await ethers.getContractFactory("MockRebasingERC20");
+            const rebaseToken = await MockRebasingERC20.deploy("Rebase Token", "RBT");
+            await rebaseToken.mint(user1.address, amount);
+            await client.lock(rebaseToken.target, amount, unlockDate);
+            await rebaseToken.rebase(ethers.parseEther("0.9"));
+
+            await increaseTime(3600);
+            const { withdrawable } = await client.getLock(1);
+            expect(withdrawable).to.equal(ethers.parseEther("90"));
+            expect(withdrawable).to.equal(await tokenLocker.withdrawable(1));
+            expect((await client.listLocks({ token: rebaseToken.target }))[0].withdrawable).to.equal(withdrawable);
+
+            const { released } = await client.withdraw(1);
+            expect(released).to.equal(withdrawable);
+        });
+
+        it("Should transfer a lock", async function () {
+            const lock = await client.transfer(0, user2.address);
+            expect(lock.owner).to.equal(user2.address);
+
+            await increaseTime(3600);
+            await expect(client.withdraw(0)).to.be.rejectedWith(UnauthorizedError, "Not owner");
+        });
+
+        it("Should let an approved operator withdraw to a recipient", async function () {
+            const operator = new TokenLockerClient(tokenLocker.target, user2);
+            expect(await client.isOperator(0, user2.address)).to.equal(false);
+
+            await client.setOperator(user2.address, true);
+            expect(await client.isOperator(0, user2.address)).to.equal(true);
+            await client.setOperator(user2.address, false);
+            await client.approve(0, user2.address);
+            expect(await client.isOperator(0, user2.address.toLowerCase())).to.equal(true);
+
+            await increaseTime(3600);
+            const { lock, released } = await operator.withdraw(0, owner.address);
+            expect(released).to.equal(amount);
+            expect(lock).to.deep.include({ owner: user1.address, status: "withdrawn" });
+            expect(await mockToken.balanceOf(owner.address)).to.equal(ethers.parseEther("1000100"));
+        });
+
+        it("Should throw LockNotFoundError for unknown locks", async function () {
+            await expect(client.getLock(7)).to.be.rejectedWith(LockNotFoundError);
+        });
+    });
+
+    describe("listLocks", function () {
+        beforeEach(async function () {
+            await client.lock(mockToken.target, amount, unlockDate);
+            await client.lock(mockToken.target, amount, unlockDate + 3600);
+            await client.lock(NATIVE_TOKEN, ethers.parseEther("1"), unlockDate);
+            await increaseTime(3600);
+            await client.withdraw(2);
+        });
+
+        it("Should list the locks of an owner or a token", async function () {
+            expect((await client.listLocks({ owner: user1.address })).map((lock) => lock.id)).to.deep.equal([0, 1, 2]);
+            expect((await client.listLocks({ token: mockToken.target })).map((lock) => lock.id)).to.deep.equal([0, 1]);
+            expect((await client.listLocks({ owner: user1.address, offset: 1, limit: 1 })).map((lock) => lock.id)).to.deep.equal([1]);
+        });
+
+        it("Should list locks by status", async function () {
+            const byStatus = async (status) => (await client.listLocks({ owner: user1.address, status })).map((lock) => [lock.id, lock.status]);
+
+            expect(await byStatus("locked")).to.deep.equal([[1, "locked"]]);
+            expect(await byStatus("unlockable")).to.deep.equal([[0, "unlockable"]]);
+            expect(await byStatus("withdrawn")).to.deep.equal([[2, "withdrawn"]]);
+        });
+
+        it("Should validate the query", async function () {
+            await expect(client.listLocks()).to.be.rejectedWith(InvalidArgumentError);
+            await expect(client.listLocks({ owner: user1.address, status: "expired" })).to.be.rejectedWith(InvalidArgumentError);
+        });
+    });
+
+    describe("decodeError", function () {
+        it("Should map OpenZeppelin custom errors", async function () {
+            const error = await tokenLocker.connect(user1).updateLockFee(0).catch((e) => e);
+            const decoded = decodeError(error, tokenLocker.interface);
+
+            expect(decoded).to.be.instanceOf(UnauthorizedError);
+            expect(decoded.reason).to.equal("OwnableUnauthorizedAccount");
+            expect(decoded.cause).to.equal(error);
+        });
+
+        it("Should map payment reverts", async function () {
+            const error = await tokenLocker.connect(user1).lockTokens(NATIVE_TOKEN, amount, unlockDate).catch((e) => e);
+            expect(decodeError(error)).to.be.instanceOf(IncorrectPaymentError);
+        });
+
+        it("Should map splitter claims with nothing to pay", function () {
+            const error = new Error("execution reverted: KITSU_TOKENLOCKER: Nothing to claim");
+            const decoded = decodeError(error);
+
+            expect(decoded).to.be.instanceOf(NothingToClaimError);
+            expect(decoded).to.not.be.instanceOf(StillLockedError);
+        });
+
+        it("Should not throw on revert data the interface cannot decode", async function () {
+            for (const data of ["0x", "0xdeadbeef"]) {
+                const error = Object.assign(new Error("execution reverted"), { data });
+                expect(decodeError(error, tokenLocker.interface)).to.equal(error);
+            }
+        });
+
+        it("Should leave other errors untouched", function () {
+            const error = new Error("connection refused");
+            expect(decodeError(error)).to.equal(error);
+        });
+    });
+});
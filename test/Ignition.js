@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const TokenLockerModule = require("../ignition/modules/TokenLocker");
+const MockERC20Module = require("../ignition/modules/MockERC20");
+const TokenLockerDevModule = require("../ignition/modules/TokenLockerDev");
+const TokenLockerSplitterModule = require("../ignition/modules/TokenLockerSplitter");
+
+describe("Ignition Modules", function () {
+    let deployer, multisig, treasury, guardian;
+
+    beforeEach(async function () {
+        [deployer, multisig, treasury, guardian] = await ethers.getSigners();
+    });
+
+    describe("TokenLockerModule", function () {
+        it("Should deploy with the default configuration", async function () {
+            const { tokenLocker } = await ignition.deploy(TokenLockerModule);
+
+            expect(await tokenLocker.owner()).to.equal(deployer.address);
+            expect(await tokenLocker.feeRecipient()).to.equal(deployer.address);
+            expect(await tokenLocker.guardian()).to.equal(deployer.address);
+            expect(await tokenLocker.getLockFee()).to.equal(ethers.parseEther("0.0025"));
+        });
+
+        it("Should apply the fee parameters and hand ownership to the multisig", async function () {
+            const { tokenLocker } = await ignition.deploy(TokenLockerModule, {
+                parameters: {
+                    TokenLockerModule: {
+                        lockFee: ethers.parseEther("0.01"),
+                        feeRecipient: treasury.address,
+                        guardian: guardian.address,
+                        owner: multisig.address,
+                    },
+                },
+            });
+
+            expect(await tokenLocker.owner()).to.equal(multisig.address);
+            expect(await tokenLocker.feeRecipient()).to.equal(treasury.address);
+            expect(await tokenLocker.guardian()).to.equal(guardian.address);
+            expect(await tokenLocker.getLockFee()).to.equal(ethers.parseEther("0.01"));
+
+            await expect(tokenLocker.connect(deployer).updateLockFee(0))
+                .to.be.revertedWithCustomError(tokenLocker, "OwnableUnauthorizedAccount");
+            await tokenLocker.connect(multisig).updateLockFee(0);
+        });
+    });
+
+    describe("TokenLockerSplitterModule", function () {
+        it("Should deploy a splitter bound to the locker", async function () {
+            const { tokenLocker, splitter } = await ignition.deploy(TokenLockerSplitterModule);
+
+            expect(await splitter.locker()).to.equal(tokenLocker.target);
+            expect(await tokenLocker.owner()).to.equal(deployer.address);
+        });
+    });
+
+    describe("MockERC20Module", function () {
+        it("Should deploy and mint the initial supply", async function () {
+            const { mockToken } = await ignition.deploy(MockERC20Module, {
+                parameters: {
+                    MockERC20Module: { symbol: "DEV", initialSupply: 500n, holder: treasury.address },
+                },
+            });
+
+            expect(await mockToken.symbol()).to.equal("DEV");
+            expect(await mockToken.balanceOf(treasury.address)).to.equal(500n);
+        });
+    });
+
+    describe("TokenLockerDevModule", function () {
+        it("Should deploy a locker and a token that can be locked", async function () {
+            const { tokenLocker, mockToken } = await ignition.deploy(TokenLockerDevModule);
+            const amount = ethers.parseEther("100");
+            const unlockDate = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+            await mockToken.approve(tokenLocker.target, amount);
+            await tokenLocker.lockTokens(mockToken.target, amount, unlockDate, { value: ethers.parseEther("0.0025") });
+
+            expect((await tokenLocker.getLock(0)).amount).to.equal(amount);
+            expect(await tokenLocker.ownerOf(0)).to.equal(deployer.address);
+        });
+    });
+});
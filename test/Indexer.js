@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { LockIndexer } = require("../lib/indexer");
+
+const { ethers } = hre;
+
+describe("LockIndexer", function () {
+    let tokenLocker, mockToken, pair;
+    let owner, user1, user2, user3;
+    let deployBlock, tmpDir;
+    const lockFee = ethers.parseEther("0.0025");
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    // Exercises every lock lifecycle event: creation of all lock types, transfers, management and withdrawals
+    async function runScenario() {
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        const locker = tokenLocker.connect(user1);
+
+        await locker.lockTokens(mockToken.target, ethers.parseEther("100"), now + 3600, { value: lockFee }); // 0
+        await locker.lockVestingTokens(mockToken.target, ethers.parseEther("200"), now, now + 1000, now + 4000, { value: lockFee }); // 1
+        await locker.lockLiquidity(pair.target, ethers.parseEther("90"), now + 3600, { value: lockFee }); // 2
+        await locker.batchLockTokens(
+            mockToken.target,
+            [user2.address, user3.address],
+            [ethers.parseEther("50"), ethers.parseEther("50")],
+            [now + 3600, now + 7200],
+            { value: lockFee }
+        ); // 3, 4
+        await locker.lockTokens(ethers.ZeroAddress, ethers.parseEther("1"), now + 3600, { value: lockFee + ethers.parseEther("1") }); // 5
+
+        await locker.transferLock(0, user2.address);
+        await tokenLocker.connect(user2).proposeLockTransfer(0, user3.address);
+        await tokenLocker.connect(user3).acceptLockTransfer(0);
+
+        await locker.extendLock(5, now + 7200);
+        await locker.topUpLock(5, ethers.parseEther("1"), { value: ethers.parseEther("1") });
+        await locker.splitLock(2, [ethers.parseEther("10"), ethers.parseEther("20")]); // 6, 7
+        await locker.extendLock(6, now + 9000);
+        await locker.mergeLocks([2, 6]);
+
+        await tokenLocker.connect(owner).updateLockFee(ethers.parseEther("0.003"));
+        await tokenLocker.connect(owner).setFeeBps(25);
+
+        await increaseTime(2000);
+        await locker.withdraw(1);
+        await increaseTime(2500);
+        await locker.withdraw(1);
+        await tokenLocker.connect(user3).withdraw(0);
+        await tokenLocker.connect(owner).withdrawFees();
+    }
+
+    beforeEach(async function () {
+        [owner, user1, user2, user3] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockERC20.deploy("Mock Token", "MTK");
+        const otherToken = await MockERC20.deploy("Other Token", "OTK");
+        const TokenLocker = await ethers.getContractFactory("TokenLocker");
+        tokenLocker = await TokenLocker.deploy();
+        deployBlock = (await tokenLocker.deploymentTransaction().wait()).blockNumber;
+
+        const MockUniswapV2Factory = await ethers.getContractFactory("MockUniswapV2Factory");
+        const factory = await MockUniswapV2Factory.deploy();
+        await factory.createPair(mockToken.target, otherToken.target);
+        pair = await ethers.getContractAt("MockUniswapV2Pair", await factory.getPair(mockToken.target, otherToken.target));
+        await tokenLocker.setLiquidityFactory(factory.target);
+
+        await mockToken.mint(user1.address, ethers.parseEther("1000"));
+        await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+        await pair.mint(user1.address, ethers.parseEther("100"));
+        await pair.connect(user1).approve(tokenLocker.target, ethers.parseEther("100"));
+
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lock-indexer-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should rebuild every lock and match getLock", async function () {
+        await runScenario();
+
+        const indexer = new LockIndexer(tokenLocker, { startBlock: deployBlock });
+        await indexer.sync();
+
+        expect(indexer.locks.map((lock) => lock.id)).to.deep.equal([0, 1, 2, 3, 4, 5, 6, 7]);
+        expect(await indexer.verify()).to.deep.equal([]);
+        expect(indexer.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should match getLock when the locker balance differs from the locked total", async function () {
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        const MockRebasingERC20 = await ethers.getContractFactory("MockRebasingERC20");
+        const rebaseToken = await MockRebasingERC20.deploy("Rebase Token", "RBT");
+        await rebaseToken.mint(user1.address, ethers.parseEther("1000"));
+        await rebaseToken.connect(user1).approve(tokenLocker.target, ethers.MaxUint256);
+
+        await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("100"), now + 3600, { value: lockFee });
+        await tokenLocker.connect(user1).lockTokens(rebaseToken.target, ethers.parseEther("100"), now + 3600, { value: lockFee });
+        await mockToken.connect(user1).transfer(tokenLocker.target, ethers.parseEther("50"));
+        await rebaseToken.rebase(ethers.parseEther("0.9"));
+
+        await increaseTime(3600);
+        await tokenLocker.connect(user1).withdraw(0);
+        await tokenLocker.connect(user1).withdraw(1);
+
+        const indexer = new LockIndexer(tokenLocker, { startBlock: deployBlock });
+        await indexer.sync();
+
+        expect(indexer.locks.map((lock) => lock.claimedAmount)).to.deep.equal([ethers.parseEther("100").toString(), ethers.parseEther("100").toString()]);
+        expect(await indexer.verify()).to.deep.equal([]);
+    });
+
+    it("Should record the ownership history and lock events", async function () {
+        await runScenario();
+
+        const indexer = new LockIndexer(tokenLocker, { startBlock: deployBlock });
+        await indexer.sync();
+        const [lock0, lock1, lock2] = indexer.locks;
+
+        expect(lock0.owners.map((entry) => entry.owner)).to.deep.equal([user1.address, user2.address, user3.address]);
+        expect(lock0.history.map((entry) => entry.event)).to.deep.equal([
+            "TokenLocked",
+            "LockTransferred",
+            "LockTransferProposed",
+            "LockTransferred",
+            "LockTransferAccepted",
+            "TokensReleased",
+            "TokenWithdrawn",
+        ]);
+        expect(lock0.fee).to.equal(lockFee.toString());
+
+        expect(lock1.lockType).to.equal("vesting");
+        expect(lock1.history.filter((entry) => entry.event === "TokensReleased")).to.have.length(2);
+        expect(lock1.withdrawn).to.equal(true);
+
+        expect(lock2.liquidity.pair).to.equal(pair.target);
+        expect(indexer.state.locks[7].splitFrom).to.equal(2);
+        expect(indexer.state.locks[6]).to.include({ burned: true, mergedInto: 2, owner: ethers.ZeroAddress });
+        expect(indexer.fees.map((entry) => entry.event)).to.deep.equal(["LockFeeUpdated", "FeeBpsUpdated", "FeesWithdrawn"]);
+    });
+
+    it("Should resume from a saved index", async function () {
+        const file = path.join(tmpDir, "index.json");
+        const first = new LockIndexer(tokenLocker, { startBlock: deployBlock });
+        await first.sync();
+        first.save(file);
+
+        await runScenario();
+
+        const resumed = LockIndexer.load(tokenLocker, file);
+        expect(resumed.lastBlock).to.equal(first.lastBlock);
+        const applied = await resumed.sync();
+        expect(applied).to.be.greaterThan(0);
+        expect(await resumed.sync()).to.equal(0);
+
+        const full = new LockIndexer(tokenLocker, { startBlock: deployBlock, batchSize: 3 });
+        await full.sync();
+        expect(resumed.toJSON()).to.deep.equal(full.toJSON());
+        expect(await resumed.verify()).to.deep.equal([]);
+    });
+
+    it("Should refuse an index of another locker", async function () {
+        const indexer = new LockIndexer(tokenLocker);
+        const other = await (await ethers.getContractFactory("TokenLocker")).deploy();
+
+        expect(() => LockIndexer.fromJSON(other, indexer.exportJSON())).to.throw("Index belongs to");
+    });
+
+    it("Should stay behind the chain head by the configured confirmations", async function () {
+        await runScenario();
+
+        const indexer = new LockIndexer(tokenLocker, { startBlock: deployBlock, confirmations: 5 });
+        await indexer.sync();
+        expect(indexer.lastBlock).to.equal((await ethers.provider.getBlockNumber()) - 5);
+    });
+
+    it("Should report differences with getLock", async function () {
+        await runScenario();
+
+        const indexer = new LockIndexer(tokenLocker, { startBlock: deployBlock });
+        await indexer.sync();
+        indexer.state.locks[3].amount = "1";
+
+        expect(await indexer.verify()).to.deep.equal([
+            { lockId: 3, field: "amount", indexed: "1", onChain: ethers.parseEther("50").toString() },
+        ]);
+    });
+
+    it("Should export CSV", async function () {
+        await runScenario();
+
+        const indexer = new LockIndexer(tokenLocker, { startBlock: deployBlock });
+        await indexer.sync();
+
+        const locks = indexer.locksCSV().trim().split("\n");
+        expect(locks[0]).to.equal(
+            "id,token,owner,lockType,amount,claimedAmount,unlockDate,startDate,cliffDate,withdrawn,burned,splitFrom,mergedInto,fee,createdBlock,createdTransaction"
+        );
+        expect(locks).to.have.length(9);
+        expect(locks[4].split(",").slice(0, 5)).to.deep.equal(["3", mockToken.target, user2.address, "standard", ethers.parseEther("50").toString()]);
+
+        const history = indexer.historyCSV().trim().split("\n");
+        expect(history[0]).to.equal("lockId,event,block,timestamp,transaction,logIndex,args");
+        expect(history.filter((line) => line.includes(",LockSplit,"))).to.have.length(4);
+        expect(history[1]).to.match(/^0,TokenLocked,\d+,\d+,0x[0-9a-f]{64},\d+,"\{""lockId"":""0"",/);
+
+        const owners = indexer.ownersCSV().trim().split("\n");
+        expect(owners[0]).to.equal("lockId,owner,block,timestamp,transaction");
+        expect(owners.filter((line) => line.startsWith("0,"))).to.have.length(3);
+    });
+
+    it("Should run from the lock:index task", async function () {
+        await runScenario();
+        const state = path.join(tmpDir, "index.json");
+        const csv = path.join(tmpDir, "csv");
+
+        const originalLog = console.log;
+        console.log = () => {};
+        let summary;
+        try {
+            summary = await hre.run("lock:index", { locker: tokenLocker.target, state, fromBlock: deployBlock, csv, verify: true });
+        } finally {
+            console.log = originalLog;
+        }
+
+        expect(summary).to.include({ locks: 8, verified: true });
+        expect(JSON.parse(fs.readFileSync(state, "utf8")).lastBlock).to.equal(summary.lastBlock);
+        expect(fs.readdirSync(csv).sort()).to.deep.equal(["history.csv", "locks.csv", "owners.csv"]);
+    });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Override with FUZZ_SEED=<n> to replay a failing sequence, FUZZ_RUNS and FUZZ_STEPS to fuzz longer
+const SEED = Number(process.env.FUZZ_SEED ?? 20240601);
+const RUNS = Number(process.env.FUZZ_RUNS ?? 3);
+const STEPS = Number(process.env.FUZZ_STEPS ?? 40);
+
+// mulberry32: small deterministic PRNG so that every sequence can be replayed from its seed
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: (items) => items[Math.floor(next() * items.length)],
+        chance: (probability) => next() < probability,
+    };
+}
+
+describe("TokenLocker Invariants", function () {
+    let tokenLocker, owner, users, tokens;
+    const lockFee = ethers.parseEther("0.0025");
+
+    beforeEach(async function () {
+        let user1, user2, user3;
+        [owner, user1, user2, user3] = await ethers.getSigners();
+        users = [user1, user2, user3];
+
+        const TokenLocker = await ethers.getContractFactory("TokenLocker");
+        tokenLocker = await TokenLocker.deploy();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const mockToken = await MockERC20.deploy("Mock Token", "MTK");
+        const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+        const taxedToken = await MockFeeOnTransferERC20.deploy("Taxed Token", "TAX", 300);
+
+        for (const token of [mockToken, taxedToken]) {
+            for (const user of users) {
+                await token.mint(user.address, ethers.parseEther("100000"));
+                await token.connect(user).approve(tokenLocker.target, ethers.MaxUint256);
+            }
+        }
+        tokens = [mockToken.target, taxedToken.target, ethers.ZeroAddress];
+    });
+
+    async function balanceOf(token) {
+        if (token === ethers.ZeroAddress) {
+            return ethers.provider.getBalance(tokenLocker.target);
+        }
+        return (await ethers.getContractAt("IERC20", token)).balanceOf(tokenLocker.target);
+    }
+
+    async function openLocks(user) {
+        const lockIds = await tokenLocker.getUserLocks(user.address);
+        const locks = await Promise.all(lockIds.map((lockId) => tokenLocker.getLock(lockId)));
+        return locks.filter((lock) => !lock.withdrawn);
+    }
+
+    async function checkInvariants(context) {
+        const owed = new Map(tokens.map((token) => [token, 0n]));
+        const lockCount = Number(await tokenLocker.nextLockId());
+        for (let lockId = 0; lockId < lockCount; lockId++) {
+            const lock = await tokenLocker.getLock(lockId);
+            if (!lock.withdrawn) {
+                owed.set(lock.token, owed.get(lock.token) + lock.amount - lock.claimedAmount);
+            }
+        }
+
+        const fees = await tokenLocker.getAccumulatedFees();
+        for (const token of tokens) {
+            const locked = owed.get(token);
+            const reserved = token === ethers.ZeroAddress ? locked + fees : locked;
+            const balance = await balanceOf(token);
+
+            expect(await tokenLocker.tokenTotalLocked(token), `${context}: tokenTotalLocked(${token})`).to.equal(locked);
+            expect(balance, `${context}: balance of ${token} covers its locks`).to.be.at.least(reserved);
+            expect(await tokenLocker.rescuableAmount(token), `${context}: rescuableAmount(${token})`).to.equal(balance - reserved);
+        }
+    }
+
+    const actions = {
+        async lock(random, actor) {
+            const token = random.pick(tokens);
+            const amount = ethers.parseEther(String(random.int(1, 500)));
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            const value = token === ethers.ZeroAddress ? lockFee + amount : lockFee;
+            const locker = tokenLocker.connect(actor);
+
+            if (random.chance(0.3)) {
+                const end = now + random.int(100, 5000);
+                await locker.lockVestingTokens(token, amount, now, now + random.int(0, end - now), end, { value });
+            } else {
+                await locker.lockTokens(token, amount, now + random.int(1, 5000), { value });
+            }
+        },
+
+        async topUp(random, actor) {
+            const locks = await openLocks(actor);
+            if (locks.length === 0) return;
+            const lock = random.pick(locks);
+            const amount = ethers.parseEther(String(random.int(1, 100)));
+
+            await tokenLocker.connect(actor).topUpLock(lock.id, amount, { value: lock.token === ethers.ZeroAddress ? amount : 0n });
+        },
+
+        async transfer(random, actor) {
+            const locks = await openLocks(actor);
+            if (locks.length === 0) return;
+            const recipient = random.pick(users.filter((user) => user !== actor));
+
+            await tokenLocker.connect(actor).transferLock(random.pick(locks).id, recipient.address);
+        },
+
+        async withdraw(random, actor) {
+            const locks = await openLocks(actor);
+            if (locks.length === 0) return;
+            const lock = random.pick(locks);
+
+            // Pin the timestamp of the withdrawal so that a cliff passing in the next block is accounted for
+            const time = BigInt((await ethers.provider.getBlock("latest")).timestamp + 1);
+            await ethers.provider.send("evm_setNextBlockTimestamp", [Number(time)]);
+            const vested = time >= lock.unlockDate
+                ? lock.amount
+                : (lock.amount * (time - lock.startDate)) / (lock.unlockDate - lock.startDate);
+
+            if (time >= lock.cliffDate && vested > lock.claimedAmount) {
+                const recipient = random.chance(0.5) ? [] : [random.pick(users).address];
+                await tokenLocker.connect(actor)[recipient.length ? "withdraw(uint256,address)" : "withdraw(uint256)"](lock.id, ...recipient);
+            } else {
+                await expect(tokenLocker.connect(actor)["withdraw(uint256)"](lock.id)).to.be.revertedWith("KITSU_TOKENLOCKER: Still locked");
+            }
+        },
+
+        async strayTransfer(random, actor) {
+            const token = random.pick(tokens.slice(0, 2));
+            await (await ethers.getContractAt("IERC20", token)).connect(actor).transfer(tokenLocker.target, ethers.parseEther(String(random.int(1, 50))));
+        },
+
+        async rescue(random) {
+            const token = random.pick(tokens);
+            const rescuable = await tokenLocker.rescuableAmount(token);
+
+            await expect(tokenLocker.rescueTokens(token, owner.address, rescuable + 1n)).to.be.revertedWith("KITSU_TOKENLOCKER: Not rescuable");
+            if (rescuable > 0n) {
+                await tokenLocker.rescueTokens(token, owner.address, random.chance(0.5) ? rescuable : rescuable / 2n);
+            }
+        },
+
+        async withdrawFees() {
+            if ((await tokenLocker.getAccumulatedFees()) > 0n) {
+                await tokenLocker.withdrawFees();
+            }
+        },
+
+        async wait(random) {
+            await ethers.provider.send("evm_increaseTime", [random.int(1, 2500)]);
+            await ethers.provider.send("evm_mine");
+        },
+    };
+
+    // Relative frequency of each action
+    const schedule = [
+        ...Array(4).fill("lock"),
+        ...Array(2).fill("topUp"),
+        ...Array(2).fill("transfer"),
+        ...Array(4).fill("withdraw"),
+        "strayTransfer",
+        "rescue",
+        "withdrawFees",
+        ...Array(3).fill("wait"),
+    ];
+
+    for (let run = 0; run < RUNS; run++) {
+        const seed = SEED + run;
+
+        it(`Should keep every lock backed by the contract balance (seed ${seed})`, async function () {
+            const random = createRandom(seed);
+
+            for (let step = 0; step < STEPS; step++) {
+                const name = random.pick(schedule);
+                const actor = random.pick(users);
+                await actions[name](random, actor);
+                await checkInvariants(`seed ${seed}, step ${step} (${name})`);
+            }
+        });
+    }
+});
@@ -2,7 +2,7 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
 describe("TokenLocker", function () {
-    let tokenLocker, mockToken;
+    let tokenLocker, lens, mockToken;
     let owner, user1, user2, user3;
     let lockId1, lockId2, lockId3;
     const lockFee = ethers.parseEther("0.0025"); // 0.0025 ETH fee
@@ -17,6 +17,7 @@ describe("TokenLocker", function () {
         // Deploy TokenLocker contract
         const TokenLocker = await ethers.getContractFactory("TokenLocker");
         tokenLocker = await TokenLocker.deploy();
+        lens = await ethers.getContractAt("TokenLockerLens", await tokenLocker.lens());
 
         // Mint tokens to users for testing
         await mockToken.mint(user1.address, ethers.parseEther("1000"));
@@ -28,6 +29,7 @@ describe("TokenLocker", function () {
         it("Should deploy with correct initial state", async function () {
             expect(await tokenLocker.nextLockId()).to.equal(0);
             expect(await tokenLocker.getLockFee()).to.equal(lockFee);
+            expect(await lens.locker()).to.equal(tokenLocker.target);
         });
     });
 
@@ -222,6 +224,16 @@ describe("TokenLocker", function () {
             ).to.be.revertedWith("KITSU_TOKENLOCKER: Zero address not allowed");
         });
 
+        it("Should fail when transferring to a contract that does not accept locks", async function () {
+            await expect(
+                tokenLocker.connect(user1).transferLock(lockId1, mockToken.target)
+            ).to.be.revertedWithCustomError(tokenLocker, "ERC721InvalidReceiver").withArgs(mockToken.target);
+            await expect(
+                tokenLocker.connect(user1).transferFrom(user1.address, mockToken.target, lockId1)
+            ).to.be.revertedWithCustomError(tokenLocker, "ERC721InvalidReceiver").withArgs(mockToken.target);
+            expect(await tokenLocker.ownerOf(lockId1)).to.equal(user1.address);
+        });
+
         it("Should fail when non-owner tries to transfer", async function () {
             await expect(
                 tokenLocker.connect(user2).transferLock(lockId1, user3.address)
@@ -252,6 +264,1880 @@ describe("TokenLocker", function () {
         });
     });
 
+    describe("Vesting Locks", function () {
+        let start, cliff, end;
+        const amount = ethers.parseEther("1000");
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, amount);
+            const currentTime = await ethers.provider.getBlock("latest");
+            start = currentTime.timestamp + 100;
+            cliff = start + 1000;
+            end = start + 10000;
+
+            await tokenLocker.connect(user1).lockVestingTokens(mockToken.target, amount, start, cliff, end, { value: lockFee });
+        });
+
+        it("Should create a vesting lock with its schedule", async function () {
+            const lock = await tokenLocker.getLock(0);
+            expect(lock.lockType).to.equal(1);
+            expect(lock.startDate).to.equal(start);
+            expect(lock.cliffDate).to.equal(cliff);
+            expect(lock.unlockDate).to.equal(end);
+            expect(lock.claimedAmount).to.equal(0);
+        });
+
+        it("Should emit VestingLockCreated event", async function () {
+            await mockToken.connect(user2).approve(tokenLocker.target, amount);
+            await expect(tokenLocker.connect(user2).lockVestingTokens(mockToken.target, amount, start, cliff, end, { value: lockFee }))
+                .to.emit(tokenLocker, "VestingLockCreated")
+                .withArgs(1, start, cliff, end)
+                .and.to.emit(tokenLocker, "TokenLocked")
+                .withArgs(1, user2.address, mockToken.target, amount, end, lockFee);
+        });
+
+        it("Should fail with an invalid schedule", async function () {
+            await mockToken.connect(user2).approve(tokenLocker.target, amount);
+            await expect(
+                tokenLocker.connect(user2).lockVestingTokens(mockToken.target, amount, end, end, end, { value: lockFee })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Start must be before end");
+            await expect(
+                tokenLocker.connect(user2).lockVestingTokens(mockToken.target, amount, cliff, start, end, { value: lockFee })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Cliff out of range");
+            await expect(
+                tokenLocker.connect(user2).lockVestingTokens(mockToken.target, amount, start - 20000, start - 20000, start - 10000, { value: lockFee })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Unlock date must be in the future");
+        });
+
+        it("Should not release anything before the cliff", async function () {
+            await ethers.provider.send("evm_setNextBlockTimestamp", [cliff - 2]);
+            await ethers.provider.send("evm_mine");
+
+            expect(await tokenLocker.withdrawable(0)).to.equal(0);
+            await expect(tokenLocker.connect(user1).withdraw(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Still locked");
+        });
+
+        it("Should release the vested portion linearly after the cliff", async function () {
+            await ethers.provider.send("evm_setNextBlockTimestamp", [cliff]);
+            await ethers.provider.send("evm_mine");
+            expect(await tokenLocker.withdrawable(0)).to.equal(amount / 10n);
+
+            const midpoint = start + 5000;
+            await ethers.provider.send("evm_setNextBlockTimestamp", [midpoint]);
+            await expect(tokenLocker.connect(user1).withdraw(0))
+                .to.emit(tokenLocker, "TokensReleased")
+                .withArgs(0, user1.address, amount / 2n, amount / 2n)
+                .and.not.to.emit(tokenLocker, "TokenWithdrawn");
+
+            const lock = await tokenLocker.getLock(0);
+            expect(lock.claimedAmount).to.equal(amount / 2n);
+            expect(lock.withdrawn).to.be.false;
+            expect(await tokenLocker.withdrawable(0)).to.equal(0);
+            expect(await tokenLocker.getLockedAmount(user1.address, mockToken.target)).to.equal(amount / 2n);
+        });
+
+        it("Should release the remainder and mark the lock withdrawn after the end", async function () {
+            await ethers.provider.send("evm_setNextBlockTimestamp", [start + 2500]);
+            await tokenLocker.connect(user1).withdraw(0);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [end + 1]);
+            await expect(tokenLocker.connect(user1).withdraw(0))
+                .to.emit(tokenLocker, "TokensReleased")
+                .withArgs(0, user1.address, amount - amount / 4n, amount - amount / 4n)
+                .and.to.emit(tokenLocker, "TokenWithdrawn")
+                .withArgs(0, user1.address);
+
+            expect(await mockToken.balanceOf(tokenLocker.target)).to.equal(0);
+            expect((await tokenLocker.getLock(0)).withdrawn).to.be.true;
+            await expect(tokenLocker.connect(user1).withdraw(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Already withdrawn");
+        });
+
+        it("Should keep vesting progress when the lock is transferred", async function () {
+            await ethers.provider.send("evm_setNextBlockTimestamp", [start + 5000]);
+            await tokenLocker.connect(user1).withdraw(0);
+            await tokenLocker.connect(user1).transferLock(0, user2.address);
+
+            expect(await tokenLocker.getLockedAmount(user2.address, mockToken.target)).to.equal(amount / 2n);
+            const activeLocks = await tokenLocker.getActiveLocks(user2.address);
+            expect(activeLocks.length).to.equal(1);
+            expect(activeLocks[0].claimedAmount).to.equal(amount / 2n);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [end]);
+            await tokenLocker.connect(user2).withdraw(0);
+            expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("1000") + amount / 2n);
+        });
+
+        it("Should report the full amount as withdrawable for standard locks once unlocked", async function () {
+            await mockToken.connect(user2).approve(tokenLocker.target, amount);
+            await tokenLocker.connect(user2).lockTokens(mockToken.target, amount, start, { value: lockFee });
+
+            expect(await tokenLocker.withdrawable(1)).to.equal(0);
+            await ethers.provider.send("evm_setNextBlockTimestamp", [start]);
+            await ethers.provider.send("evm_mine");
+            expect(await tokenLocker.withdrawable(1)).to.equal(amount);
+        });
+    });
+
+    describe("Non-Standard Tokens", function () {
+        let unlockDate;
+
+        beforeEach(async function () {
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+        });
+
+        describe("Fee-on-transfer tokens", function () {
+            let feeToken;
+
+            beforeEach(async function () {
+                // 5% of every transfer is burned
+                const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+                feeToken = await MockFeeOnTransferERC20.deploy("Fee Token", "FEE", 500);
+                await feeToken.mint(user1.address, ethers.parseEther("1000"));
+                await feeToken.mint(user2.address, ethers.parseEther("1000"));
+                await feeToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+                await feeToken.connect(user2).approve(tokenLocker.target, ethers.parseEther("1000"));
+            });
+
+            it("Should record the amount actually received", async function () {
+                await expect(tokenLocker.connect(user1).lockTokens(feeToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee }))
+                    .to.emit(tokenLocker, "TokenLocked")
+                    .withArgs(0, user1.address, feeToken.target, ethers.parseEther("95"), unlockDate, lockFee);
+
+                expect((await tokenLocker.getLock(0)).amount).to.equal(ethers.parseEther("95"));
+                expect(await tokenLocker.tokenTotalLocked(feeToken.target)).to.equal(ethers.parseEther("95"));
+                expect(await feeToken.balanceOf(tokenLocker.target)).to.equal(ethers.parseEther("95"));
+            });
+
+            it("Should let every locker of the token withdraw", async function () {
+                await tokenLocker.connect(user1).lockTokens(feeToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+                await tokenLocker.connect(user2).lockTokens(feeToken.target, ethers.parseEther("200"), unlockDate, { value: lockFee });
+
+                await ethers.provider.send("evm_increaseTime", [3600]);
+                await ethers.provider.send("evm_mine");
+
+                await tokenLocker.connect(user1).withdraw(0);
+                await tokenLocker.connect(user2).withdraw(1);
+
+                expect(await feeToken.balanceOf(tokenLocker.target)).to.equal(0);
+                expect(await tokenLocker.tokenTotalLocked(feeToken.target)).to.equal(0);
+            });
+        });
+
+        describe("Rebasing tokens", function () {
+            let rebaseToken;
+
+            beforeEach(async function () {
+                const MockRebasingERC20 = await ethers.getContractFactory("MockRebasingERC20");
+                rebaseToken = await MockRebasingERC20.deploy("Rebase Token", "RBT");
+                await rebaseToken.mint(user1.address, ethers.parseEther("1000"));
+                await rebaseToken.mint(user2.address, ethers.parseEther("1000"));
+                await rebaseToken.connect(user1).approve(tokenLocker.target, ethers.MaxUint256);
+                await rebaseToken.connect(user2).approve(tokenLocker.target, ethers.MaxUint256);
+
+                await tokenLocker.connect(user1).lockTokens(rebaseToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+            });
+
+            it("Should reject new locks once the balance has shrunk below the locked total", async function () {
+                await rebaseToken.rebase(ethers.parseEther("0.9"));
+
+                await expect(
+                    tokenLocker.connect(user2).lockTokens(rebaseToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee })
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Token balance below locked total");
+            });
+
+            it("Should share a negative rebase pro rata between every lock", async function () {
+                await tokenLocker.connect(user2).lockTokens(rebaseToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+                await rebaseToken.rebase(ethers.parseEther("0.9"));
+
+                await ethers.provider.send("evm_increaseTime", [3600]);
+                await ethers.provider.send("evm_mine");
+
+                expect(await tokenLocker.withdrawable(0)).to.equal(ethers.parseEther("90"));
+                await expect(tokenLocker.connect(user1).withdraw(0))
+                    .to.emit(tokenLocker, "TokensReleased")
+                    .withArgs(0, user1.address, ethers.parseEther("90"), ethers.parseEther("100"));
+                await tokenLocker.connect(user2).withdraw(1);
+
+                expect(await rebaseToken.balanceOf(user1.address)).to.equal(ethers.parseEther("900"));
+                expect(await rebaseToken.balanceOf(user2.address)).to.equal(ethers.parseEther("900"));
+                expect(await rebaseToken.balanceOf(tokenLocker.target)).to.equal(0);
+                expect(await tokenLocker.tokenTotalLocked(rebaseToken.target)).to.equal(0);
+            });
+
+            it("Should keep working after a positive rebase", async function () {
+                await rebaseToken.rebase(ethers.parseEther("2"));
+
+                await ethers.provider.send("evm_increaseTime", [3600]);
+                await ethers.provider.send("evm_mine");
+
+                const balanceBefore = await rebaseToken.balanceOf(user1.address);
+                await tokenLocker.connect(user1).withdraw(0);
+                expect(await rebaseToken.balanceOf(user1.address) - balanceBefore).to.equal(ethers.parseEther("100"));
+            });
+        });
+    });
+
+    describe("Lock Management", function () {
+        let unlockDate;
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("200"), unlockDate + 3600, { value: lockFee });
+        });
+
+        describe("Extend", function () {
+            it("Should push the unlock date further out", async function () {
+                await expect(tokenLocker.connect(user1).extendLock(0, unlockDate + 7200))
+                    .to.emit(tokenLocker, "LockExtended")
+                    .withArgs(0, unlockDate, unlockDate + 7200);
+
+                await ethers.provider.send("evm_increaseTime", [3600]);
+                await ethers.provider.send("evm_mine");
+                await expect(tokenLocker.connect(user1).withdraw(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Still locked");
+            });
+
+            it("Should never move the unlock date earlier", async function () {
+                await expect(
+                    tokenLocker.connect(user1).extendLock(0, unlockDate - 1)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Unlock date can only be extended");
+                await expect(
+                    tokenLocker.connect(user1).extendLock(0, unlockDate)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Unlock date can only be extended");
+            });
+
+            it("Should fail when non-owner tries to extend", async function () {
+                await expect(
+                    tokenLocker.connect(user2).extendLock(0, unlockDate + 7200)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+            });
+        });
+
+        describe("Top up", function () {
+            it("Should add tokens to a lock without charging the fee", async function () {
+                await expect(tokenLocker.connect(user1).topUpLock(0, ethers.parseEther("50")))
+                    .to.emit(tokenLocker, "LockToppedUp")
+                    .withArgs(0, ethers.parseEther("50"));
+
+                expect((await tokenLocker.getLock(0)).amount).to.equal(ethers.parseEther("150"));
+                expect(await tokenLocker.getLockedAmount(user1.address, mockToken.target)).to.equal(ethers.parseEther("350"));
+                expect(await tokenLocker.tokenTotalLocked(mockToken.target)).to.equal(ethers.parseEther("350"));
+            });
+
+            it("Should fail when non-owner tries to top up", async function () {
+                await mockToken.connect(user2).approve(tokenLocker.target, ethers.parseEther("50"));
+                await expect(
+                    tokenLocker.connect(user2).topUpLock(0, ethers.parseEther("50"))
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+            });
+
+            it("Should fail to top up a withdrawn lock", async function () {
+                await ethers.provider.send("evm_increaseTime", [3600]);
+                await ethers.provider.send("evm_mine");
+                await tokenLocker.connect(user1).withdraw(0);
+
+                await expect(
+                    tokenLocker.connect(user1).topUpLock(0, ethers.parseEther("50"))
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Already withdrawn");
+            });
+        });
+
+        describe("Split", function () {
+            it("Should split a lock into new locks with chosen amounts", async function () {
+                await expect(tokenLocker.connect(user1).splitLock(0, [ethers.parseEther("30"), ethers.parseEther("20")]))
+                    .to.emit(tokenLocker, "LockSplit")
+                    .withArgs(0, 2, ethers.parseEther("30"))
+                    .and.to.emit(tokenLocker, "LockSplit")
+                    .withArgs(0, 3, ethers.parseEther("20"));
+
+                expect((await tokenLocker.getLock(0)).amount).to.equal(ethers.parseEther("50"));
+                const newLock = await tokenLocker.getLock(2);
+                expect(newLock.id).to.equal(2);
+                expect(newLock.owner).to.equal(user1.address);
+                expect(newLock.amount).to.equal(ethers.parseEther("30"));
+                expect(newLock.unlockDate).to.equal(unlockDate);
+
+                expect(await tokenLocker.getUserLocks(user1.address)).to.deep.equal([0n, 1n, 2n, 3n]);
+                expect(await tokenLocker.getTokenLocks(mockToken.target)).to.deep.equal([0n, 1n, 2n, 3n]);
+                expect(await tokenLocker.getLockedAmount(user1.address, mockToken.target)).to.equal(ethers.parseEther("300"));
+            });
+
+            it("Should fail when the split amounts reach the lock amount", async function () {
+                await expect(
+                    tokenLocker.connect(user1).splitLock(0, [ethers.parseEther("60"), ethers.parseEther("40")])
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Split exceeds lock amount");
+            });
+
+            it("Should fail with a zero split amount", async function () {
+                await expect(
+                    tokenLocker.connect(user1).splitLock(0, [0])
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Amount must be > 0");
+            });
+
+            it("Should fail to split a vesting lock", async function () {
+                await tokenLocker.connect(user1).lockVestingTokens(mockToken.target, ethers.parseEther("100"), unlockDate, unlockDate, unlockDate + 3600, { value: lockFee });
+                await expect(
+                    tokenLocker.connect(user1).splitLock(2, [ethers.parseEther("10")])
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Vesting locks not supported");
+            });
+        });
+
+        describe("Merge", function () {
+            it("Should merge locks into the first one with the latest unlock date", async function () {
+                await expect(tokenLocker.connect(user1).mergeLocks([0, 1]))
+                    .to.emit(tokenLocker, "LocksMerged")
+                    .withArgs(0, 1, ethers.parseEther("200"));
+
+                const merged = await tokenLocker.getLock(0);
+                expect(merged.amount).to.equal(ethers.parseEther("300"));
+                expect(merged.unlockDate).to.equal(unlockDate + 3600);
+                expect((await tokenLocker.getLock(1)).owner).to.equal(ethers.ZeroAddress);
+
+                expect(await tokenLocker.getUserLocks(user1.address)).to.deep.equal([0n]);
+                expect(await tokenLocker.getTokenLocks(mockToken.target)).to.deep.equal([0n]);
+                expect(await tokenLocker.getLockedAmount(user1.address, mockToken.target)).to.equal(ethers.parseEther("300"));
+
+                await ethers.provider.send("evm_increaseTime", [3600]);
+                await ethers.provider.send("evm_mine");
+                await expect(tokenLocker.connect(user1).withdraw(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Still locked");
+            });
+
+            it("Should drop the pending transfer of a merged lock", async function () {
+                await tokenLocker.connect(user1).proposeLockTransfer(1, user2.address);
+                await tokenLocker.connect(user1).mergeLocks([0, 1]);
+
+                expect(await tokenLocker.pendingTransfers(1)).to.equal(ethers.ZeroAddress);
+                await expect(
+                    tokenLocker.connect(user2).acceptLockTransfer(1)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Not pending recipient");
+            });
+
+            it("Should fail to merge locks of different owners", async function () {
+                await mockToken.connect(user2).approve(tokenLocker.target, ethers.parseEther("100"));
+                await tokenLocker.connect(user2).lockTokens(mockToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+
+                await expect(
+                    tokenLocker.connect(user1).mergeLocks([0, 2])
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+            });
+
+            it("Should fail to merge locks of different tokens", async function () {
+                const MockERC20 = await ethers.getContractFactory("MockERC20");
+                const otherToken = await MockERC20.deploy("Other Token", "OTK");
+                await otherToken.mint(user1.address, ethers.parseEther("100"));
+                await otherToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("100"));
+                await tokenLocker.connect(user1).lockTokens(otherToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+
+                await expect(
+                    tokenLocker.connect(user1).mergeLocks([0, 2])
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Token mismatch");
+            });
+
+            it("Should fail to merge a lock with itself", async function () {
+                await expect(
+                    tokenLocker.connect(user1).mergeLocks([0, 0])
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Duplicate lock");
+                await expect(
+                    tokenLocker.connect(user1).mergeLocks([0])
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Nothing to merge");
+            });
+        });
+    });
+
+    describe("Lock NFTs", function () {
+        let unlockDate;
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+        });
+
+        it("Should mint the lock NFT to the locker", async function () {
+            expect(await tokenLocker.name()).to.equal("Kitsu Token Lock");
+            expect(await tokenLocker.symbol()).to.equal("KITSU-LOCK");
+            expect(await tokenLocker.ownerOf(0)).to.equal(user1.address);
+            expect(await tokenLocker.balanceOf(user1.address)).to.equal(1);
+        });
+
+        it("Should transfer lock ownership with transferFrom", async function () {
+            await expect(tokenLocker.connect(user1).transferFrom(user1.address, user2.address, 0))
+                .to.emit(tokenLocker, "Transfer")
+                .withArgs(user1.address, user2.address, 0)
+                .and.to.emit(tokenLocker, "LockTransferred")
+                .withArgs(0, user1.address, user2.address);
+
+            expect((await tokenLocker.getLock(0)).owner).to.equal(user2.address);
+            expect(await tokenLocker.getUserLocks(user1.address)).to.deep.equal([]);
+            expect(await tokenLocker.getUserLocks(user2.address)).to.deep.equal([0n]);
+            expect(await tokenLocker.getLockedAmount(user2.address, mockToken.target)).to.equal(ethers.parseEther("100"));
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+            await expect(tokenLocker.connect(user1).withdraw(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+            await tokenLocker.connect(user2).withdraw(0);
+        });
+
+        it("Should let an approved address transfer the lock", async function () {
+            await tokenLocker.connect(user1).approve(user3.address, 0);
+            await tokenLocker.connect(user3).safeTransferFrom(user1.address, user2.address, 0);
+
+            expect(await tokenLocker.ownerOf(0)).to.equal(user2.address);
+            expect((await tokenLocker.getLock(0)).owner).to.equal(user2.address);
+            expect(await tokenLocker.getApproved(0)).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should fail when an unapproved address transfers the lock", async function () {
+            await expect(
+                tokenLocker.connect(user2).transferFrom(user1.address, user2.address, 0)
+            ).to.be.revertedWithCustomError(tokenLocker, "ERC721InsufficientApproval");
+        });
+
+        it("Should not allow transferring a withdrawn lock NFT", async function () {
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+            await tokenLocker.connect(user1).withdraw(0);
+
+            await expect(
+                tokenLocker.connect(user1).transferFrom(user1.address, user2.address, 0)
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Already withdrawn");
+        });
+
+        it("Should burn the NFTs of merged locks", async function () {
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+            await tokenLocker.connect(user1).mergeLocks([0, 1]);
+
+            expect(await tokenLocker.balanceOf(user1.address)).to.equal(1);
+            await expect(tokenLocker.ownerOf(1)).to.be.revertedWithCustomError(tokenLocker, "ERC721NonexistentToken");
+        });
+
+        it("Should mint NFTs for locks created by a split", async function () {
+            await tokenLocker.connect(user1).splitLock(0, [ethers.parseEther("40")]);
+            expect(await tokenLocker.ownerOf(1)).to.equal(user1.address);
+            expect(await tokenLocker.balanceOf(user1.address)).to.equal(2);
+        });
+
+        it("Should return on-chain JSON metadata with an SVG image", async function () {
+            const uri = await tokenLocker.tokenURI(0);
+            expect(uri.startsWith("data:application/json;base64,")).to.be.true;
+
+            const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+            expect(metadata.name).to.equal("Kitsu Lock #0");
+
+            const attributes = Object.fromEntries(metadata.attributes.map((a) => [a.trait_type, a.value]));
+            expect(attributes.Token.toLowerCase()).to.equal(mockToken.target.toLowerCase());
+            expect(attributes.Symbol).to.equal("MTK");
+            expect(attributes.Amount).to.equal("100");
+            expect(attributes["Unlock Date"]).to.equal(unlockDate);
+            expect(attributes.Status).to.equal("Locked");
+
+            expect(metadata.image.startsWith("data:image/svg+xml;base64,")).to.be.true;
+            const svg = Buffer.from(metadata.image.split(",")[1], "base64").toString();
+            expect(svg).to.contain("100 MTK");
+            expect(svg).to.contain(new Date(unlockDate * 1000).toISOString().slice(0, 10));
+        });
+
+        it("Should format fractional amounts in the metadata", async function () {
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("12.05"), unlockDate, { value: lockFee });
+
+            const uri = await tokenLocker.tokenURI(1);
+            const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+            expect(metadata.attributes.find((a) => a.trait_type === "Amount").value).to.equal("12.05");
+        });
+
+        it("Should fail to return metadata of a nonexistent lock", async function () {
+            await expect(tokenLocker.tokenURI(42)).to.be.revertedWithCustomError(tokenLocker, "ERC721NonexistentToken");
+        });
+    });
+
+    describe("Signatures", function () {
+        let unlockDate, deadline, domain;
+
+        beforeEach(async function () {
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+            deadline = currentTime.timestamp + 600;
+
+            const { chainId } = await ethers.provider.getNetwork();
+            domain = { name: "Kitsu TokenLocker", version: "1", chainId, verifyingContract: tokenLocker.target };
+        });
+
+        async function signPermit(signer, amount, permitDeadline) {
+            const { chainId } = await ethers.provider.getNetwork();
+            const signature = await signer.signTypedData(
+                { name: "Mock Token", version: "1", chainId, verifyingContract: mockToken.target },
+                {
+                    Permit: [
+                        { name: "owner", type: "address" },
+                        { name: "spender", type: "address" },
+                        { name: "value", type: "uint256" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "deadline", type: "uint256" },
+                    ],
+                },
+                {
+                    owner: signer.address,
+                    spender: tokenLocker.target,
+                    value: amount,
+                    nonce: await mockToken.nonces(signer.address),
+                    deadline: permitDeadline,
+                }
+            );
+            return ethers.Signature.from(signature);
+        }
+
+        function signTransfer(signer, lockId, newOwner, nonce, signatureDeadline) {
+            return signer.signTypedData(
+                domain,
+                {
+                    TransferLock: [
+                        { name: "lockId", type: "uint256" },
+                        { name: "newOwner", type: "address" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "deadline", type: "uint256" },
+                    ],
+                },
+                { lockId, newOwner, nonce, deadline: signatureDeadline }
+            );
+        }
+
+        function signWithdraw(signer, lockId, nonce, signatureDeadline) {
+            return signer.signTypedData(
+                domain,
+                {
+                    Withdraw: [
+                        { name: "lockId", type: "uint256" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "deadline", type: "uint256" },
+                    ],
+                },
+                { lockId, nonce, deadline: signatureDeadline }
+            );
+        }
+
+        describe("lockTokensWithPermit", function () {
+            it("Should lock tokens without a prior approval", async function () {
+                const amount = ethers.parseEther("100");
+                const { v, r, s } = await signPermit(user1, amount, deadline);
+
+                await expect(tokenLocker.connect(user1).lockTokensWithPermit(mockToken.target, amount, unlockDate, deadline, v, r, s, { value: lockFee }))
+                    .to.emit(tokenLocker, "TokenLocked")
+                    .withArgs(0, user1.address, mockToken.target, amount, unlockDate, lockFee);
+
+                expect(await mockToken.balanceOf(tokenLocker.target)).to.equal(amount);
+            });
+
+            it("Should still lock when the permit was front-run", async function () {
+                const amount = ethers.parseEther("100");
+                const { v, r, s } = await signPermit(user1, amount, deadline);
+                await mockToken.connect(user2).permit(user1.address, tokenLocker.target, amount, deadline, v, r, s);
+
+                await tokenLocker.connect(user1).lockTokensWithPermit(mockToken.target, amount, unlockDate, deadline, v, r, s, { value: lockFee });
+                expect((await tokenLocker.getLock(0)).amount).to.equal(amount);
+            });
+
+            it("Should fail with a permit signed by someone else", async function () {
+                const amount = ethers.parseEther("100");
+                const { v, r, s } = await signPermit(user2, amount, deadline);
+
+                await expect(
+                    tokenLocker.connect(user1).lockTokensWithPermit(mockToken.target, amount, unlockDate, deadline, v, r, s, { value: lockFee })
+                ).to.be.revertedWithCustomError(mockToken, "ERC20InsufficientAllowance");
+            });
+        });
+
+        describe("transferLockBySig", function () {
+            beforeEach(async function () {
+                await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("100"));
+                await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+            });
+
+            it("Should let a relayer submit a signed transfer", async function () {
+                const signature = await signTransfer(user1, 0, user2.address, 0, deadline);
+
+                await expect(tokenLocker.connect(user3).transferLockBySig(0, user2.address, deadline, signature))
+                    .to.emit(tokenLocker, "LockTransferred")
+                    .withArgs(0, user1.address, user2.address);
+
+                expect((await tokenLocker.getLock(0)).owner).to.equal(user2.address);
+                expect(await tokenLocker.nonces(user1.address)).to.equal(1);
+            });
+
+            it("Should reject a replayed signature", async function () {
+                const signature = await signTransfer(user1, 0, user2.address, 0, deadline);
+                await tokenLocker.connect(user3).transferLockBySig(0, user2.address, deadline, signature);
+                await tokenLocker.connect(user2).transferLock(0, user1.address);
+
+                await expect(
+                    tokenLocker.connect(user3).transferLockBySig(0, user2.address, deadline, signature)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Invalid signature");
+            });
+
+            it("Should reject an expired signature", async function () {
+                const signature = await signTransfer(user1, 0, user2.address, 0, deadline);
+                await ethers.provider.send("evm_setNextBlockTimestamp", [deadline + 1]);
+
+                await expect(
+                    tokenLocker.connect(user3).transferLockBySig(0, user2.address, deadline, signature)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Signature expired");
+            });
+
+            it("Should reject a signature from someone other than the owner", async function () {
+                const signature = await signTransfer(user2, 0, user2.address, 0, deadline);
+
+                await expect(
+                    tokenLocker.connect(user3).transferLockBySig(0, user2.address, deadline, signature)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Invalid signature");
+            });
+
+            it("Should reject a signature for a different recipient", async function () {
+                const signature = await signTransfer(user1, 0, user2.address, 0, deadline);
+
+                await expect(
+                    tokenLocker.connect(user3).transferLockBySig(0, user3.address, deadline, signature)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Invalid signature");
+            });
+        });
+
+        describe("withdrawBySig", function () {
+            beforeEach(async function () {
+                await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("100"));
+                await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+                deadline = unlockDate + 600;
+            });
+
+            it("Should let a relayer withdraw to the lock owner", async function () {
+                const signature = await signWithdraw(user1, 0, 0, deadline);
+                await ethers.provider.send("evm_setNextBlockTimestamp", [unlockDate]);
+
+                const balanceBefore = await mockToken.balanceOf(user1.address);
+                await expect(tokenLocker.connect(user3).withdrawBySig(0, deadline, signature))
+                    .to.emit(tokenLocker, "TokenWithdrawn")
+                    .withArgs(0, user1.address);
+
+                expect(await mockToken.balanceOf(user1.address) - balanceBefore).to.equal(ethers.parseEther("100"));
+                expect(await mockToken.balanceOf(user3.address)).to.equal(ethers.parseEther("1000"));
+            });
+
+            it("Should not withdraw before the unlock date", async function () {
+                const signature = await signWithdraw(user1, 0, 0, deadline);
+
+                await expect(
+                    tokenLocker.connect(user3).withdrawBySig(0, deadline, signature)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Still locked");
+            });
+
+            it("Should reject a replayed signature", async function () {
+                const signature = await signWithdraw(user1, 0, 0, deadline);
+                await ethers.provider.send("evm_setNextBlockTimestamp", [unlockDate]);
+                await tokenLocker.connect(user3).withdrawBySig(0, deadline, signature);
+
+                await expect(
+                    tokenLocker.connect(user3).withdrawBySig(0, deadline, signature)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Invalid signature");
+            });
+
+            it("Should reject an expired signature", async function () {
+                const signature = await signWithdraw(user1, 0, 0, deadline);
+                await ethers.provider.send("evm_setNextBlockTimestamp", [deadline + 1]);
+
+                await expect(
+                    tokenLocker.connect(user3).withdrawBySig(0, deadline, signature)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Signature expired");
+            });
+
+            it("Should reject a signature from someone other than the owner", async function () {
+                const signature = await signWithdraw(user2, 0, 0, deadline);
+                await ethers.provider.send("evm_setNextBlockTimestamp", [unlockDate]);
+
+                await expect(
+                    tokenLocker.connect(user3).withdrawBySig(0, deadline, signature)
+                ).to.be.revertedWith("KITSU_TOKENLOCKER: Invalid signature");
+            });
+        });
+    });
+
+    describe("Batch Locking", function () {
+        let unlockDate;
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+        });
+
+        it("Should create one lock per beneficiary with a single transfer and fee", async function () {
+            const beneficiaries = [user2.address, user3.address, user2.address];
+            const amounts = [ethers.parseEther("100"), ethers.parseEther("200"), ethers.parseEther("300")];
+            const unlockDates = [unlockDate, unlockDate + 100, unlockDate + 200];
+
+            await expect(tokenLocker.connect(user1).batchLockTokens(mockToken.target, beneficiaries, amounts, unlockDates, { value: lockFee }))
+                .to.emit(tokenLocker, "BatchLocked")
+                .withArgs(user1.address, mockToken.target, 0, 3, ethers.parseEther("600"), lockFee)
+                .and.to.emit(tokenLocker, "TokenLocked")
+                .withArgs(0, user2.address, mockToken.target, amounts[0], unlockDates[0], lockFee)
+                .and.to.emit(tokenLocker, "TokenLocked")
+                .withArgs(1, user3.address, mockToken.target, amounts[1], unlockDates[1], 0);
+
+            expect(await mockToken.balanceOf(tokenLocker.target)).to.equal(ethers.parseEther("600"));
+            expect(await tokenLocker.getUserLocks(user1.address)).to.deep.equal([]);
+            expect(await tokenLocker.getUserLocks(user2.address)).to.deep.equal([0n, 2n]);
+            expect(await tokenLocker.getUserLocks(user3.address)).to.deep.equal([1n]);
+            expect(await tokenLocker.ownerOf(1)).to.equal(user3.address);
+            expect((await tokenLocker.getLock(2)).unlockDate).to.equal(unlockDates[2]);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(lockFee);
+        });
+
+        it("Should let beneficiaries withdraw their own locks", async function () {
+            await tokenLocker.connect(user1).batchLockTokens(
+                mockToken.target,
+                [user2.address, user3.address],
+                [ethers.parseEther("100"), ethers.parseEther("200")],
+                [unlockDate, unlockDate],
+                { value: lockFee }
+            );
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(tokenLocker.connect(user1).withdraw(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+            await tokenLocker.connect(user3).withdraw(1);
+            expect(await mockToken.balanceOf(user3.address)).to.equal(ethers.parseEther("1200"));
+        });
+
+        it("Should fail when array lengths differ", async function () {
+            await expect(
+                tokenLocker.connect(user1).batchLockTokens(mockToken.target, [user2.address, user3.address], [ethers.parseEther("100")], [unlockDate, unlockDate], { value: lockFee })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Array length mismatch");
+            await expect(
+                tokenLocker.connect(user1).batchLockTokens(mockToken.target, [], [], [], { value: lockFee })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Empty array");
+        });
+
+        it("Should revert the whole batch when one entry is invalid", async function () {
+            await expect(
+                tokenLocker.connect(user1).batchLockTokens(
+                    mockToken.target,
+                    [user2.address, ethers.ZeroAddress],
+                    [ethers.parseEther("100"), ethers.parseEther("100")],
+                    [unlockDate, unlockDate],
+                    { value: lockFee }
+                )
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Zero address not allowed");
+            await expect(
+                tokenLocker.connect(user1).batchLockTokens(
+                    mockToken.target,
+                    [user2.address, user3.address],
+                    [ethers.parseEther("100"), ethers.parseEther("100")],
+                    [unlockDate, unlockDate - 7200],
+                    { value: lockFee }
+                )
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Unlock date must be in the future");
+
+            expect(await tokenLocker.nextLockId()).to.equal(0);
+            expect(await mockToken.balanceOf(tokenLocker.target)).to.equal(0);
+        });
+
+        it("Should charge the fee once per batch", async function () {
+            await expect(
+                tokenLocker.connect(user1).batchLockTokens(
+                    mockToken.target,
+                    [user2.address, user3.address],
+                    [ethers.parseEther("100"), ethers.parseEther("100")],
+                    [unlockDate, unlockDate],
+                    { value: lockFee * 2n }
+                )
+            ).to.changeEtherBalance(user1, -lockFee);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(lockFee);
+        });
+
+        it("Should share fee-on-transfer losses pro rata", async function () {
+            const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+            const feeToken = await MockFeeOnTransferERC20.deploy("Fee Token", "FEE", 1000);
+            await feeToken.mint(user1.address, ethers.parseEther("1000"));
+            await feeToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+
+            await tokenLocker.connect(user1).batchLockTokens(
+                feeToken.target,
+                [user2.address, user3.address],
+                [ethers.parseEther("100"), ethers.parseEther("300")],
+                [unlockDate, unlockDate],
+                { value: lockFee }
+            );
+
+            expect((await tokenLocker.getLock(0)).amount).to.equal(ethers.parseEther("90"));
+            expect((await tokenLocker.getLock(1)).amount).to.equal(ethers.parseEther("270"));
+            expect(await tokenLocker.tokenTotalLocked(feeToken.target)).to.equal(ethers.parseEther("360"));
+        });
+
+        it("Should reject entries whose share of a taxed transfer rounds down to zero", async function () {
+            const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+            const feeToken = await MockFeeOnTransferERC20.deploy("Fee Token", "FEE", 1000);
+            await feeToken.mint(user1.address, ethers.parseEther("1000"));
+            await feeToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+
+            // 1 wei out of a 10% taxed transfer is worth 0.9 wei
+            await expect(
+                tokenLocker.connect(user1).batchLockTokens(
+                    feeToken.target,
+                    [user2.address, user3.address],
+                    [1n, ethers.parseEther("100")],
+                    [unlockDate, unlockDate],
+                    { value: lockFee }
+                )
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Amount must be > 0");
+        });
+    });
+
+    describe("Native ETH Locks", function () {
+        let unlockDate;
+        const amount = ethers.parseEther("1");
+
+        beforeEach(async function () {
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+        });
+
+        it("Should lock ETH sent on top of the fee", async function () {
+            await expect(tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: lockFee + amount }))
+                .to.emit(tokenLocker, "TokenLocked")
+                .withArgs(0, user1.address, ethers.ZeroAddress, amount, unlockDate, lockFee);
+
+            const lock = await tokenLocker.getLock(0);
+            expect(lock.token).to.equal(await tokenLocker.NATIVE_TOKEN());
+            expect(lock.amount).to.equal(amount);
+            expect(await tokenLocker.tokenTotalLocked(ethers.ZeroAddress)).to.equal(amount);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(lockFee);
+            expect(await ethers.provider.getBalance(tokenLocker.target)).to.equal(lockFee + amount);
+        });
+
+        it("Should fail when the ETH sent does not match amount plus fee", async function () {
+            await expect(
+                tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: amount })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Incorrect fee amount");
+            await expect(
+                tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: lockFee })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Incorrect fee amount");
+        });
+
+        it("Should withdraw locked ETH after the unlock date", async function () {
+            await tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: lockFee + amount });
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(tokenLocker.connect(user1).withdraw(0)).to.changeEtherBalances([user1, tokenLocker], [amount, -amount]);
+            expect(await tokenLocker.tokenTotalLocked(ethers.ZeroAddress)).to.equal(0);
+            expect(await ethers.provider.getBalance(tokenLocker.target)).to.equal(lockFee);
+        });
+
+        it("Should only withdraw accrued fees, never locked ETH", async function () {
+            await tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: lockFee + amount });
+
+            await expect(tokenLocker.connect(owner).withdrawFees())
+                .to.emit(tokenLocker, "FeesWithdrawn")
+                .withArgs(lockFee, owner.address);
+
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(0);
+            expect(await ethers.provider.getBalance(tokenLocker.target)).to.equal(amount);
+            await expect(tokenLocker.connect(owner).withdrawFees()).to.be.revertedWith("KITSU_TOKENLOCKER: No fees to withdraw");
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+            await expect(tokenLocker.connect(user1).withdraw(0)).to.changeEtherBalance(user1, amount);
+        });
+
+        it("Should vest ETH locks", async function () {
+            await tokenLocker.connect(user1).lockVestingTokens(ethers.ZeroAddress, amount, unlockDate, unlockDate, unlockDate + 1000, { value: lockFee + amount });
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [unlockDate + 500]);
+            await expect(tokenLocker.connect(user1).withdraw(0)).to.changeEtherBalance(user1, amount / 2n);
+        });
+
+        it("Should top up ETH locks with the exact ETH amount", async function () {
+            await tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: lockFee + amount });
+
+            await expect(
+                tokenLocker.connect(user1).topUpLock(0, amount, { value: amount - 1n })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Incorrect ETH amount");
+            await tokenLocker.connect(user1).topUpLock(0, amount, { value: amount });
+
+            expect((await tokenLocker.getLock(0)).amount).to.equal(amount * 2n);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(lockFee);
+        });
+
+        it("Should reject ETH sent with an ERC20 top up", async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("200"));
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+
+            await expect(
+                tokenLocker.connect(user1).topUpLock(0, ethers.parseEther("100"), { value: 1 })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Incorrect ETH amount");
+        });
+
+        it("Should batch lock ETH", async function () {
+            await tokenLocker.connect(user1).batchLockTokens(
+                ethers.ZeroAddress,
+                [user2.address, user3.address],
+                [amount, amount * 2n],
+                [unlockDate, unlockDate],
+                { value: lockFee + amount * 3n }
+            );
+
+            expect((await tokenLocker.getLock(1)).amount).to.equal(amount * 2n);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(lockFee);
+        });
+
+        it("Should show ETH in the lock metadata", async function () {
+            await tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: lockFee + amount });
+
+            const uri = await tokenLocker.tokenURI(0);
+            const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+            const attributes = Object.fromEntries(metadata.attributes.map((a) => [a.trait_type, a.value]));
+            expect(attributes.Symbol).to.equal("ETH");
+            expect(attributes.Amount).to.equal("1");
+        });
+    });
+
+    describe("Liquidity Locks", function () {
+        let factory, pair, otherToken, unlockDate;
+
+        beforeEach(async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            otherToken = await MockERC20.deploy("Other Token", "OTK");
+
+            const MockUniswapV2Factory = await ethers.getContractFactory("MockUniswapV2Factory");
+            factory = await MockUniswapV2Factory.deploy();
+            await factory.createPair(mockToken.target, otherToken.target);
+            pair = await ethers.getContractAt("MockUniswapV2Pair", await factory.getPair(mockToken.target, otherToken.target));
+
+            await pair.mint(user1.address, ethers.parseEther("1000"));
+            await pair.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            await tokenLocker.connect(owner).setLiquidityFactory(factory.target);
+
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+        });
+
+        it("Should let the owner configure the factory", async function () {
+            await expect(tokenLocker.connect(owner).setLiquidityFactory(ethers.ZeroAddress))
+                .to.emit(tokenLocker, "LiquidityFactoryUpdated")
+                .withArgs(factory.target, ethers.ZeroAddress);
+
+            await expect(
+                tokenLocker.connect(user1).setLiquidityFactory(factory.target)
+            ).to.be.revertedWithCustomError(tokenLocker, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should lock LP tokens and record the underlying tokens", async function () {
+            const [token0, token1] = [await pair.token0(), await pair.token1()];
+
+            await expect(tokenLocker.connect(user1).lockLiquidity(pair.target, ethers.parseEther("250"), unlockDate, { value: lockFee }))
+                .to.emit(tokenLocker, "LiquidityLocked")
+                .withArgs(0, pair.target, token0, token1)
+                .and.to.emit(tokenLocker, "TokenLocked")
+                .withArgs(0, user1.address, pair.target, ethers.parseEther("250"), unlockDate, lockFee);
+
+            const lock = await tokenLocker.getLock(0);
+            expect(lock.lockType).to.equal(2);
+            expect(lock.token).to.equal(pair.target);
+
+            const info = await tokenLocker.liquidityPairs(0);
+            expect(info.token0).to.equal(token0);
+            expect(info.token1).to.equal(token1);
+        });
+
+        it("Should report the locked share of the LP supply", async function () {
+            await tokenLocker.connect(user1).lockLiquidity(pair.target, ethers.parseEther("250"), unlockDate, { value: lockFee });
+
+            const share = await tokenLocker.getLockedLiquidityShare(pair.target);
+            expect(share.locked).to.equal(ethers.parseEther("250"));
+            expect(share.totalSupply).to.equal(ethers.parseEther("1000"));
+            expect(share.shareBps).to.equal(2500);
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+            await tokenLocker.connect(user1).withdraw(0);
+            expect((await tokenLocker.getLockedLiquidityShare(pair.target)).shareBps).to.equal(0);
+        });
+
+        it("Should reject tokens that are not pairs of the factory", async function () {
+            const MockUniswapV2Pair = await ethers.getContractFactory("MockUniswapV2Pair");
+            const fakePair = await MockUniswapV2Pair.deploy(mockToken.target, otherToken.target);
+            await fakePair.mint(user1.address, ethers.parseEther("100"));
+            await fakePair.connect(user1).approve(tokenLocker.target, ethers.parseEther("100"));
+
+            await expect(
+                tokenLocker.connect(user1).lockLiquidity(fakePair.target, ethers.parseEther("100"), unlockDate, { value: lockFee })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Not a factory pair");
+            await expect(
+                tokenLocker.connect(user1).lockLiquidity(mockToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee })
+            ).to.be.reverted;
+        });
+
+        it("Should fail when no factory is configured", async function () {
+            await tokenLocker.connect(owner).setLiquidityFactory(ethers.ZeroAddress);
+
+            await expect(
+                tokenLocker.connect(user1).lockLiquidity(pair.target, ethers.parseEther("100"), unlockDate, { value: lockFee })
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Liquidity factory not set");
+        });
+
+        it("Should keep pair information when splitting and extending", async function () {
+            await tokenLocker.connect(user1).lockLiquidity(pair.target, ethers.parseEther("250"), unlockDate, { value: lockFee });
+            await expect(tokenLocker.connect(user1).splitLock(0, [ethers.parseEther("50")]))
+                .to.emit(tokenLocker, "LiquidityLocked")
+                .withArgs(1, pair.target, await pair.token0(), await pair.token1());
+            await tokenLocker.connect(user1).extendLock(1, unlockDate + 3600);
+
+            const split = await tokenLocker.getLock(1);
+            expect(split.lockType).to.equal(2);
+            expect(split.cliffDate).to.equal(unlockDate + 3600);
+            expect((await tokenLocker.liquidityPairs(1)).token0).to.equal(await pair.token0());
+        });
+
+        it("Should only merge locks of the same type", async function () {
+            await tokenLocker.connect(user1).lockLiquidity(pair.target, ethers.parseEther("250"), unlockDate, { value: lockFee });
+            await tokenLocker.connect(user1).lockTokens(pair.target, ethers.parseEther("250"), unlockDate, { value: lockFee });
+
+            await expect(
+                tokenLocker.connect(user1).mergeLocks([0, 1])
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Lock type mismatch");
+        });
+    });
+
+    describe("Paginated Queries", function () {
+        let unlockDate;
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            await mockToken.connect(user2).approve(tokenLocker.target, ethers.parseEther("1000"));
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+
+            // Locks 0-2 unlock in one hour, 3-4 in two hours, lock 5 belongs to user2
+            for (let i = 0; i < 5; i++) {
+                await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("10"), i < 3 ? unlockDate : unlockDate + 3600, { value: lockFee });
+            }
+            await tokenLocker.connect(user2).lockTokens(mockToken.target, ethers.parseEther("10"), unlockDate, { value: lockFee });
+        });
+
+        it("Should page through user and token lock IDs", async function () {
+            expect(await tokenLocker.getUserLockCount(user1.address)).to.equal(5);
+            expect(await tokenLocker.getTokenLockCount(mockToken.target)).to.equal(6);
+
+            expect(await tokenLocker.getUserLocksPaginated(user1.address, 0, 2)).to.deep.equal([0n, 1n]);
+            expect(await tokenLocker.getUserLocksPaginated(user1.address, 4, 2)).to.deep.equal([4n]);
+            expect(await tokenLocker.getUserLocksPaginated(user1.address, 5, 2)).to.deep.equal([]);
+            expect(await tokenLocker.getTokenLocksPaginated(mockToken.target, 3, 10)).to.deep.equal([3n, 4n, 5n]);
+            expect(await tokenLocker.getTokenLocksPaginated(mockToken.target, 1, ethers.MaxUint256)).to.deep.equal([1n, 2n, 3n, 4n, 5n]);
+        });
+
+        it("Should filter locks by status", async function () {
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+            await tokenLocker.connect(user1).withdraw(1);
+
+            const active = await tokenLocker.getUserLocksByStatus(user1.address, 0, 0, 10);
+            const unlockable = await tokenLocker.getUserLocksByStatus(user1.address, 1, 0, 10);
+            const withdrawn = await tokenLocker.getUserLocksByStatus(user1.address, 2, 0, 10);
+
+            expect(active.map((l) => l.id)).to.deep.equal([3n, 4n]);
+            expect(unlockable.map((l) => l.id)).to.deep.equal([0n, 2n]);
+            expect(withdrawn.map((l) => l.id)).to.deep.equal([1n]);
+
+            const tokenUnlockable = await tokenLocker.getTokenLocksByStatus(mockToken.target, 1, 2, 4);
+            expect(tokenUnlockable.map((l) => l.id)).to.deep.equal([2n, 5n]);
+        });
+
+        it("Should keep indexes consistent after transfers and merges", async function () {
+            await tokenLocker.connect(user1).transferLock(1, user2.address);
+            expect(await tokenLocker.getUserLocks(user1.address)).to.deep.equal([0n, 4n, 2n, 3n]);
+            expect(await tokenLocker.getUserLocks(user2.address)).to.deep.equal([5n, 1n]);
+
+            await tokenLocker.connect(user1).mergeLocks([3, 0]);
+            expect(await tokenLocker.getUserLocks(user1.address)).to.deep.equal([3n, 4n, 2n]);
+            expect(await tokenLocker.getTokenLocks(mockToken.target)).to.deep.equal([5n, 1n, 2n, 3n, 4n]);
+
+            await tokenLocker.connect(user2).transferLock(5, user1.address);
+            await tokenLocker.connect(user1).transferLock(2, user2.address);
+            expect(await tokenLocker.getUserLocks(user1.address)).to.deep.equal([3n, 4n, 5n]);
+            expect(await tokenLocker.getUserLocks(user2.address)).to.deep.equal([1n, 2n]);
+        });
+
+        it("Should track locked amounts per user and token on chain", async function () {
+            expect(await tokenLocker.getLockedAmount(user1.address, mockToken.target)).to.equal(ethers.parseEther("50"));
+            expect(await tokenLocker.tokenTotalLocked(mockToken.target)).to.equal(ethers.parseEther("60"));
+
+            await tokenLocker.connect(user1).transferLock(0, user2.address);
+            await tokenLocker.connect(user1).splitLock(1, [ethers.parseEther("4")]);
+            await tokenLocker.connect(user1).mergeLocks([2, 6]);
+            await tokenLocker.connect(user1).topUpLock(2, ethers.parseEther("5"));
+
+            expect(await tokenLocker.getLockedAmount(user1.address, mockToken.target)).to.equal(ethers.parseEther("45"));
+            expect(await tokenLocker.getLockedAmount(user2.address, mockToken.target)).to.equal(ethers.parseEther("20"));
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+            await tokenLocker.connect(user2).withdraw(0);
+
+            expect(await tokenLocker.getLockedAmount(user2.address, mockToken.target)).to.equal(ethers.parseEther("10"));
+            expect(await tokenLocker.tokenTotalLocked(mockToken.target)).to.equal(ethers.parseEther("55"));
+        });
+
+        it("Should keep transfer and lock gas flat as the number of locks grows", async function () {
+            const gasOf = async (txPromise) => (await (await txPromise).wait()).gasUsed;
+
+            // user1 holds 5 locks, user3 holds 60 locks of the same token
+            await mockToken.connect(user3).approve(tokenLocker.target, ethers.parseEther("1000"));
+            await tokenLocker.connect(user3).batchLockTokens(
+                mockToken.target,
+                Array(60).fill(user3.address),
+                Array(60).fill(ethers.parseEther("1")),
+                Array(60).fill(unlockDate),
+                { value: lockFee }
+            );
+
+            const smallTransfer = await gasOf(tokenLocker.connect(user1).transferLock(1, ethers.Wallet.createRandom().address));
+            const largeTransfer = await gasOf(tokenLocker.connect(user3).transferLock(30, ethers.Wallet.createRandom().address));
+            expect(largeTransfer).to.be.closeTo(smallTransfer, 100);
+
+            const smallLock = await gasOf(tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("1"), unlockDate, { value: lockFee }));
+            const largeLock = await gasOf(tokenLocker.connect(user3).lockTokens(mockToken.target, ethers.parseEther("1"), unlockDate, { value: lockFee }));
+            expect(largeLock).to.be.closeTo(smallLock, 100);
+        });
+    });
+
+    describe("Two-Step Transfers", function () {
+        let unlockDate;
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, ethers.parseEther("100"), unlockDate, { value: lockFee });
+        });
+
+        it("Should keep ownership until the proposal is accepted", async function () {
+            await expect(tokenLocker.connect(user1).proposeLockTransfer(0, user2.address))
+                .to.emit(tokenLocker, "LockTransferProposed")
+                .withArgs(0, user1.address, user2.address);
+
+            expect(await tokenLocker.pendingTransfers(0)).to.equal(user2.address);
+            expect(await tokenLocker.ownerOf(0)).to.equal(user1.address);
+
+            await expect(tokenLocker.connect(user2).acceptLockTransfer(0))
+                .to.emit(tokenLocker, "LockTransferAccepted")
+                .withArgs(0, user1.address, user2.address)
+                .and.to.emit(tokenLocker, "LockTransferred")
+                .withArgs(0, user1.address, user2.address);
+
+            expect(await tokenLocker.ownerOf(0)).to.equal(user2.address);
+            expect((await tokenLocker.getLock(0)).owner).to.equal(user2.address);
+            expect(await tokenLocker.getUserLocks(user2.address)).to.deep.equal([0n]);
+            expect(await tokenLocker.pendingTransfers(0)).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should only let the proposed recipient accept", async function () {
+            await expect(tokenLocker.connect(user2).acceptLockTransfer(0))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not pending recipient");
+
+            await tokenLocker.connect(user1).proposeLockTransfer(0, user2.address);
+            await expect(tokenLocker.connect(user3).acceptLockTransfer(0))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not pending recipient");
+        });
+
+        it("Should replace a previous proposal", async function () {
+            await tokenLocker.connect(user1).proposeLockTransfer(0, user2.address);
+            await tokenLocker.connect(user1).proposeLockTransfer(0, user3.address);
+
+            await expect(tokenLocker.connect(user2).acceptLockTransfer(0))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not pending recipient");
+            await tokenLocker.connect(user3).acceptLockTransfer(0);
+            expect(await tokenLocker.ownerOf(0)).to.equal(user3.address);
+        });
+
+        it("Should let the owner cancel a proposal", async function () {
+            await tokenLocker.connect(user1).proposeLockTransfer(0, user2.address);
+
+            await expect(tokenLocker.connect(user2).cancelLockTransfer(0))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+            await expect(tokenLocker.connect(user1).cancelLockTransfer(0))
+                .to.emit(tokenLocker, "LockTransferCancelled")
+                .withArgs(0, user2.address);
+
+            expect(await tokenLocker.pendingTransfers(0)).to.equal(ethers.ZeroAddress);
+            await expect(tokenLocker.connect(user2).acceptLockTransfer(0))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not pending recipient");
+            await expect(tokenLocker.connect(user1).cancelLockTransfer(0))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: No pending transfer");
+        });
+
+        it("Should clear the proposal when the lock is transferred directly", async function () {
+            await tokenLocker.connect(user1).proposeLockTransfer(0, user2.address);
+            await tokenLocker.connect(user1).transferLock(0, user3.address);
+
+            expect(await tokenLocker.pendingTransfers(0)).to.equal(ethers.ZeroAddress);
+            await expect(tokenLocker.connect(user2).acceptLockTransfer(0))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not pending recipient");
+        });
+
+        it("Should validate proposals", async function () {
+            await expect(tokenLocker.connect(user1).proposeLockTransfer(0, ethers.ZeroAddress))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Zero address not allowed");
+            await expect(tokenLocker.connect(user2).proposeLockTransfer(0, user2.address))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+        });
+
+        it("Should not accept a transfer of a withdrawn lock", async function () {
+            await tokenLocker.connect(user1).proposeLockTransfer(0, user2.address);
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+            await tokenLocker.connect(user1).withdraw(0);
+
+            await expect(tokenLocker.connect(user2).acceptLockTransfer(0))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Already withdrawn");
+        });
+    });
+
+    describe("Fee Models", function () {
+        const amount = ethers.parseEther("100");
+        let unlockDate, feeToken;
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            feeToken = await MockERC20.deploy("Fee Token", "FEE");
+            await feeToken.mint(user1.address, ethers.parseEther("100"));
+            await feeToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("100"));
+        });
+
+        it("Should default to a flat ETH fee paid to the owner", async function () {
+            expect(await tokenLocker.feeMode()).to.equal(0);
+            expect(await tokenLocker.feeRecipient()).to.equal(owner.address);
+            expect(await tokenLocker.quoteFee(user1.address, mockToken.target, amount)).to.deep.equal([0n, lockFee]);
+        });
+
+        it("Should refund overpaid ETH", async function () {
+            await expect(
+                tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee * 3n })
+            ).to.changeEtherBalances([user1, tokenLocker], [-lockFee, lockFee]);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(lockFee);
+        });
+
+        it("Should refund overpaid ETH on native ETH locks", async function () {
+            await expect(
+                tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: lockFee + amount + 1n })
+            ).to.changeEtherBalance(user1, -(lockFee + amount));
+            expect((await tokenLocker.getLock(0)).amount).to.equal(amount);
+        });
+
+        it("Should charge a flat ERC20 fee to the fee recipient", async function () {
+            await tokenLocker.setTokenFee(feeToken.target, ethers.parseEther("5"));
+            await tokenLocker.setFeeMode(1);
+            await tokenLocker.setFeeRecipient(user3.address);
+
+            await expect(tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate))
+                .to.emit(tokenLocker, "TokenLocked")
+                .withArgs(0, user1.address, mockToken.target, amount, unlockDate, ethers.parseEther("5"));
+
+            expect(await feeToken.balanceOf(user3.address)).to.equal(ethers.parseEther("5"));
+            expect((await tokenLocker.getLock(0)).amount).to.equal(amount);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(0);
+        });
+
+        it("Should refund ETH sent with a flat ERC20 fee", async function () {
+            await tokenLocker.setTokenFee(feeToken.target, ethers.parseEther("5"));
+            await tokenLocker.setFeeMode(1);
+
+            await expect(
+                tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee })
+            ).to.changeEtherBalance(user1, 0);
+        });
+
+        it("Should take a percentage of ERC20 locks", async function () {
+            await tokenLocker.setFeeBps(250);
+            await tokenLocker.setFeeMode(2);
+            await tokenLocker.setFeeRecipient(user3.address);
+            const fee = ethers.parseEther("2.5");
+
+            await expect(tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate))
+                .to.emit(tokenLocker, "TokenLocked")
+                .withArgs(0, user1.address, mockToken.target, amount - fee, unlockDate, fee);
+
+            expect(await mockToken.balanceOf(user3.address)).to.equal(ethers.parseEther("1000") + fee);
+            expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("900"));
+            expect(await tokenLocker.tokenTotalLocked(mockToken.target)).to.equal(amount - fee);
+        });
+
+        it("Should take a percentage of native ETH locks into accumulated fees", async function () {
+            await tokenLocker.setFeeBps(100);
+            await tokenLocker.setFeeMode(2);
+            const fee = amount / 100n;
+
+            await expect(
+                tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: amount })
+            ).to.changeEtherBalance(user1, -amount);
+
+            expect((await tokenLocker.getLock(0)).amount).to.equal(amount - fee);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(fee);
+            expect(await tokenLocker.tokenTotalLocked(ethers.ZeroAddress)).to.equal(amount - fee);
+        });
+
+        it("Should take a percentage of a batch total", async function () {
+            await tokenLocker.setFeeBps(1000);
+            await tokenLocker.setFeeMode(2);
+
+            await expect(
+                tokenLocker.connect(user1).batchLockTokens(
+                    mockToken.target,
+                    [user2.address, user3.address],
+                    [ethers.parseEther("100"), ethers.parseEther("300")],
+                    [unlockDate, unlockDate]
+                )
+            ).to.emit(tokenLocker, "BatchLocked")
+                .withArgs(user1.address, mockToken.target, 0, 2, ethers.parseEther("360"), ethers.parseEther("40"));
+
+            expect((await tokenLocker.getLock(0)).amount).to.equal(ethers.parseEther("90"));
+            expect((await tokenLocker.getLock(1)).amount).to.equal(ethers.parseEther("270"));
+        });
+
+        it("Should exempt accounts and tokens from fees", async function () {
+            await expect(tokenLocker.setAccountFeeExemption(user1.address, true))
+                .to.emit(tokenLocker, "AccountFeeExemptionUpdated")
+                .withArgs(user1.address, true);
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate);
+
+            await tokenLocker.setAccountFeeExemption(user1.address, false);
+            await expect(
+                tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate)
+            ).to.be.revertedWith("KITSU_TOKENLOCKER: Incorrect fee amount");
+
+            await expect(tokenLocker.setTokenFeeExemption(mockToken.target, true))
+                .to.emit(tokenLocker, "TokenFeeExemptionUpdated")
+                .withArgs(mockToken.target, true);
+            expect(await tokenLocker.quoteFee(user1.address, mockToken.target, amount)).to.deep.equal([0n, 0n]);
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate);
+
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(0);
+        });
+
+        it("Should send withdrawn ETH fees to the fee recipient", async function () {
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee });
+            await tokenLocker.setFeeRecipient(user3.address);
+
+            const tx = tokenLocker.withdrawFees();
+            await expect(tx).to.emit(tokenLocker, "FeesWithdrawn").withArgs(lockFee, user3.address);
+            await expect(tx).to.changeEtherBalance(user3, lockFee);
+        });
+
+        it("Should emit an event for every fee configuration change", async function () {
+            await expect(tokenLocker.setFeeMode(2))
+                .to.emit(tokenLocker, "FeeModeUpdated")
+                .withArgs(0, 2);
+            await expect(tokenLocker.setTokenFee(feeToken.target, 7))
+                .to.emit(tokenLocker, "TokenFeeUpdated")
+                .withArgs(ethers.ZeroAddress, 0, feeToken.target, 7);
+            await expect(tokenLocker.setFeeBps(50))
+                .to.emit(tokenLocker, "FeeBpsUpdated")
+                .withArgs(0, 50);
+            await expect(tokenLocker.setFeeRecipient(user3.address))
+                .to.emit(tokenLocker, "FeeRecipientUpdated")
+                .withArgs(owner.address, user3.address);
+        });
+
+        it("Should validate fee configuration", async function () {
+            await expect(tokenLocker.setFeeBps(1001)).to.be.revertedWith("KITSU_TOKENLOCKER: Fee too high");
+            await expect(tokenLocker.setFeeRecipient(ethers.ZeroAddress))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Zero address not allowed");
+            await expect(tokenLocker.setTokenFee(ethers.ZeroAddress, 1))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Zero address not allowed");
+
+            for (const tx of [
+                tokenLocker.connect(user1).setFeeMode(1),
+                tokenLocker.connect(user1).setTokenFee(feeToken.target, 1),
+                tokenLocker.connect(user1).setFeeBps(1),
+                tokenLocker.connect(user1).setFeeRecipient(user1.address),
+                tokenLocker.connect(user1).setAccountFeeExemption(user1.address, true),
+                tokenLocker.connect(user1).setTokenFeeExemption(mockToken.target, true)
+            ]) {
+                await expect(tx).to.be.revertedWithCustomError(tokenLocker, "OwnableUnauthorizedAccount");
+            }
+        });
+    });
+
+    describe("Emergency Pause", function () {
+        let unlockDate;
+        const amount = ethers.parseEther("100");
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee });
+            await tokenLocker.setGuardian(user3.address);
+        });
+
+        it("Should let only the guardian pause and unpause", async function () {
+            expect(await tokenLocker.guardian()).to.equal(user3.address);
+
+            await expect(tokenLocker.connect(owner).pause()).to.be.revertedWith("KITSU_TOKENLOCKER: Not guardian");
+            await expect(tokenLocker.connect(user3).pause()).to.emit(tokenLocker, "Paused").withArgs(user3.address);
+            expect(await tokenLocker.paused()).to.be.true;
+            await expect(tokenLocker.connect(user3).pause()).to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+
+            await expect(tokenLocker.connect(owner).unpause()).to.be.revertedWith("KITSU_TOKENLOCKER: Not guardian");
+            await expect(tokenLocker.connect(user3).unpause()).to.emit(tokenLocker, "Unpaused").withArgs(user3.address);
+            expect(await tokenLocker.paused()).to.be.false;
+            await expect(tokenLocker.connect(user3).unpause()).to.be.revertedWithCustomError(tokenLocker, "ExpectedPause");
+        });
+
+        it("Should let only the owner replace the guardian", async function () {
+            await expect(tokenLocker.connect(user3).setGuardian(user2.address))
+                .to.be.revertedWithCustomError(tokenLocker, "OwnableUnauthorizedAccount");
+            await expect(tokenLocker.setGuardian(ethers.ZeroAddress))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Zero address not allowed");
+
+            await expect(tokenLocker.setGuardian(user2.address))
+                .to.emit(tokenLocker, "GuardianUpdated")
+                .withArgs(user3.address, user2.address);
+            await expect(tokenLocker.connect(user3).pause()).to.be.revertedWith("KITSU_TOKENLOCKER: Not guardian");
+            await tokenLocker.connect(user2).pause();
+        });
+
+        describe("While paused", function () {
+            beforeEach(async function () {
+                await tokenLocker.connect(user3).pause();
+            });
+
+            it("Should reject new locks", async function () {
+                const locker = tokenLocker.connect(user1);
+
+                await expect(locker.lockTokens(mockToken.target, amount, unlockDate, { value: lockFee }))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+                await expect(locker.lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: lockFee + amount }))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+                await expect(locker.lockVestingTokens(mockToken.target, amount, unlockDate - 3600, unlockDate - 1800, unlockDate, { value: lockFee }))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+                await expect(locker.lockTokensWithPermit(mockToken.target, amount, unlockDate, unlockDate, 0, ethers.ZeroHash, ethers.ZeroHash, { value: lockFee }))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+                await expect(locker.batchLockTokens(mockToken.target, [user2.address], [amount], [unlockDate], { value: lockFee }))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+            });
+
+            it("Should reject liquidity locks", async function () {
+                const MockERC20 = await ethers.getContractFactory("MockERC20");
+                const otherToken = await MockERC20.deploy("Other Token", "OTK");
+                const MockUniswapV2Factory = await ethers.getContractFactory("MockUniswapV2Factory");
+                const factory = await MockUniswapV2Factory.deploy();
+                await factory.createPair(mockToken.target, otherToken.target);
+                const pair = await ethers.getContractAt("MockUniswapV2Pair", await factory.getPair(mockToken.target, otherToken.target));
+                await tokenLocker.setLiquidityFactory(factory.target);
+                await pair.mint(user1.address, amount);
+                await pair.connect(user1).approve(tokenLocker.target, amount);
+
+                await expect(tokenLocker.connect(user1).lockLiquidity(pair.target, amount, unlockDate, { value: lockFee }))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+            });
+
+            it("Should reject top-ups", async function () {
+                await expect(tokenLocker.connect(user1).topUpLock(0, amount))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+            });
+
+            it("Should reject splits", async function () {
+                await expect(tokenLocker.connect(user1).splitLock(0, [amount / 2n]))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+                expect(await tokenLocker.nextLockId()).to.equal(1);
+            });
+
+            it("Should reject every kind of lock transfer", async function () {
+                await expect(tokenLocker.connect(user1).transferLock(0, user2.address))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+                await expect(tokenLocker.connect(user1).transferFrom(user1.address, user2.address, 0))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+                await expect(tokenLocker.connect(user1)["safeTransferFrom(address,address,uint256)"](user1.address, user2.address, 0))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+
+                await tokenLocker.connect(user1).proposeLockTransfer(0, user2.address);
+                await expect(tokenLocker.connect(user2).acceptLockTransfer(0))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+
+                const { chainId } = await ethers.provider.getNetwork();
+                const signature = await user1.signTypedData(
+                    { name: "Kitsu TokenLocker", version: "1", chainId, verifyingContract: tokenLocker.target },
+                    {
+                        TransferLock: [
+                            { name: "lockId", type: "uint256" },
+                            { name: "newOwner", type: "address" },
+                            { name: "nonce", type: "uint256" },
+                            { name: "deadline", type: "uint256" },
+                        ],
+                    },
+                    { lockId: 0, newOwner: user2.address, nonce: 0, deadline: unlockDate }
+                );
+                await expect(tokenLocker.connect(user3).transferLockBySig(0, user2.address, unlockDate, signature))
+                    .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+
+                expect(await tokenLocker.ownerOf(0)).to.equal(user1.address);
+            });
+
+            it("Should reject fee changes", async function () {
+                const paused = (tx) => expect(tx).to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+
+                await paused(tokenLocker.updateLockFee(0));
+                await paused(tokenLocker.setFeeMode(2));
+                await paused(tokenLocker.setTokenFee(mockToken.target, 1));
+                await paused(tokenLocker.setFeeBps(100));
+                await paused(tokenLocker.setFeeRecipient(user2.address));
+                await paused(tokenLocker.setAccountFeeExemption(user1.address, true));
+                await paused(tokenLocker.setTokenFeeExemption(mockToken.target, true));
+            });
+
+            it("Should keep withdrawals working", async function () {
+                await ethers.provider.send("evm_increaseTime", [3600]);
+                await ethers.provider.send("evm_mine");
+
+                await expect(tokenLocker.connect(user1).withdraw(0))
+                    .to.emit(tokenLocker, "TokenWithdrawn")
+                    .withArgs(0, user1.address);
+                expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+
+                await expect(tokenLocker.withdrawFees()).to.emit(tokenLocker, "FeesWithdrawn").withArgs(lockFee, owner.address);
+            });
+
+            it("Should keep partial vesting withdrawals working", async function () {
+                await tokenLocker.connect(user3).unpause();
+                const now = (await ethers.provider.getBlock("latest")).timestamp;
+                await tokenLocker.connect(user1).lockVestingTokens(mockToken.target, amount, now, now, now + 1000, { value: lockFee });
+                await tokenLocker.connect(user3).pause();
+
+                await ethers.provider.send("evm_increaseTime", [499]);
+                await ethers.provider.send("evm_mine");
+                await expect(tokenLocker.connect(user1).withdraw(1)).to.emit(tokenLocker, "TokensReleased");
+                expect((await tokenLocker.getLock(1)).claimedAmount).to.be.greaterThan(0);
+            });
+
+            it("Should accept new locks again once unpaused", async function () {
+                await tokenLocker.connect(user3).unpause();
+
+                await expect(tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee }))
+                    .to.emit(tokenLocker, "TokenLocked");
+                await tokenLocker.connect(user1).transferLock(0, user2.address);
+                expect(await tokenLocker.ownerOf(0)).to.equal(user2.address);
+            });
+        });
+    });
+
+    describe("Token Blocklist", function () {
+        let unlockDate;
+        const amount = ethers.parseEther("100");
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+        });
+
+        it("Should let only the owner block tokens", async function () {
+            await expect(tokenLocker.connect(user1).setTokenBlocked(mockToken.target, true))
+                .to.be.revertedWithCustomError(tokenLocker, "OwnableUnauthorizedAccount");
+
+            await expect(tokenLocker.setTokenBlocked(mockToken.target, true))
+                .to.emit(tokenLocker, "TokenBlocklistUpdated")
+                .withArgs(mockToken.target, true);
+            expect(await tokenLocker.blockedTokens(mockToken.target)).to.be.true;
+        });
+
+        it("Should reject new locks of a blocked token", async function () {
+            await tokenLocker.setTokenBlocked(mockToken.target, true);
+            const locker = tokenLocker.connect(user1);
+
+            await expect(locker.lockTokens(mockToken.target, amount, unlockDate, { value: lockFee }))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Token blocked");
+            await expect(locker.lockVestingTokens(mockToken.target, amount, unlockDate - 3600, unlockDate - 1800, unlockDate, { value: lockFee }))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Token blocked");
+            await expect(locker.batchLockTokens(mockToken.target, [user2.address], [amount], [unlockDate], { value: lockFee }))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Token blocked");
+        });
+
+        it("Should block native ETH", async function () {
+            await tokenLocker.setTokenBlocked(ethers.ZeroAddress, true);
+
+            await expect(tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, amount, unlockDate, { value: lockFee + amount }))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Token blocked");
+        });
+
+        it("Should let existing locks be managed and withdrawn but not topped up", async function () {
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee });
+            await tokenLocker.setTokenBlocked(mockToken.target, true);
+
+            await expect(tokenLocker.connect(user1).topUpLock(0, amount)).to.be.revertedWith("KITSU_TOKENLOCKER: Token blocked");
+            await tokenLocker.connect(user1).extendLock(0, unlockDate + 60);
+            await tokenLocker.connect(user1).transferLock(0, user2.address);
+
+            await ethers.provider.send("evm_increaseTime", [3660]);
+            await ethers.provider.send("evm_mine");
+            await tokenLocker.connect(user2).withdraw(0);
+            expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("1100"));
+        });
+
+        it("Should accept the token again once unblocked", async function () {
+            await tokenLocker.setTokenBlocked(mockToken.target, true);
+            await expect(tokenLocker.setTokenBlocked(mockToken.target, false))
+                .to.emit(tokenLocker, "TokenBlocklistUpdated")
+                .withArgs(mockToken.target, false);
+
+            await expect(tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee }))
+                .to.emit(tokenLocker, "TokenLocked");
+        });
+    });
+
+    describe("Operator Approvals", function () {
+        let unlockDate;
+        const amount = ethers.parseEther("100");
+
+        async function unlock() {
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+        }
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee }); // 0
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee }); // 1
+        });
+
+        it("Should emit events when approvals change", async function () {
+            await expect(tokenLocker.connect(user1).approve(user2.address, 0))
+                .to.emit(tokenLocker, "Approval")
+                .withArgs(user1.address, user2.address, 0);
+            await expect(tokenLocker.connect(user1).setApprovalForAll(user3.address, true))
+                .to.emit(tokenLocker, "ApprovalForAll")
+                .withArgs(user1.address, user3.address, true);
+            await expect(tokenLocker.connect(user1).setApprovalForAll(user3.address, false))
+                .to.emit(tokenLocker, "ApprovalForAll")
+                .withArgs(user1.address, user3.address, false);
+        });
+
+        it("Should let a lock operator withdraw to the owner", async function () {
+            await tokenLocker.connect(user1).approve(user2.address, 0);
+            await unlock();
+
+            await expect(tokenLocker.connect(user2)["withdraw(uint256)"](0))
+                .to.emit(tokenLocker, "TokensReleased")
+                .withArgs(0, user1.address, amount, amount);
+            expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("900"));
+            expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should limit a lock approval to that lock", async function () {
+            await tokenLocker.connect(user1).approve(user2.address, 0);
+            await unlock();
+
+            await expect(tokenLocker.connect(user2)["withdraw(uint256)"](1)).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+            await expect(tokenLocker.connect(user2).transferLock(1, user2.address)).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+        });
+
+        it("Should let an operator for all locks withdraw to a vault and transfer", async function () {
+            await tokenLocker.connect(user1).setApprovalForAll(user2.address, true);
+            await unlock();
+
+            await expect(tokenLocker.connect(user2)["withdraw(uint256,address)"](0, user3.address))
+                .to.emit(tokenLocker, "TokensReleased")
+                .withArgs(0, user3.address, amount, amount)
+                .and.to.emit(tokenLocker, "TokenWithdrawn")
+                .withArgs(0, user1.address);
+            expect(await mockToken.balanceOf(user3.address)).to.equal(ethers.parseEther("1100"));
+            expect(await tokenLocker.getLockedAmount(user1.address, mockToken.target)).to.equal(amount);
+            expect(await tokenLocker.tokenTotalLocked(mockToken.target)).to.equal(amount);
+
+            await expect(tokenLocker.connect(user2).transferLock(1, user3.address))
+                .to.emit(tokenLocker, "LockTransferred")
+                .withArgs(1, user1.address, user3.address);
+            expect(await tokenLocker.ownerOf(1)).to.equal(user3.address);
+        });
+
+        it("Should let the owner withdraw to another recipient", async function () {
+            await unlock();
+
+            await tokenLocker.connect(user1)["withdraw(uint256,address)"](0, user2.address);
+            expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("1100"));
+            expect((await tokenLocker.getLock(0)).withdrawn).to.be.true;
+        });
+
+        it("Should send native ETH to the recipient", async function () {
+            const ethAmount = ethers.parseEther("1");
+            await tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, ethAmount, unlockDate, { value: lockFee + ethAmount }); // 2
+            await unlock();
+
+            await expect(tokenLocker.connect(user1)["withdraw(uint256,address)"](2, user3.address))
+                .to.changeEtherBalances([user3, tokenLocker], [ethAmount, -ethAmount]);
+        });
+
+        it("Should reject the zero address as recipient", async function () {
+            await unlock();
+
+            await expect(tokenLocker.connect(user1)["withdraw(uint256,address)"](0, ethers.ZeroAddress))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Zero address not allowed");
+        });
+
+        it("Should reject withdrawals by unapproved or revoked accounts", async function () {
+            await unlock();
+            await expect(tokenLocker.connect(user2)["withdraw(uint256,address)"](0, user2.address))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+
+            await tokenLocker.connect(user1).setApprovalForAll(user2.address, true);
+            await tokenLocker.connect(user1).setApprovalForAll(user2.address, false);
+            await tokenLocker.connect(user1).approve(user3.address, 0);
+            await tokenLocker.connect(user1).approve(ethers.ZeroAddress, 0);
+
+            await expect(tokenLocker.connect(user2)["withdraw(uint256)"](0)).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+            await expect(tokenLocker.connect(user3)["withdraw(uint256)"](0)).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+        });
+
+        it("Should clear approvals when the lock is transferred", async function () {
+            await tokenLocker.connect(user1).approve(user2.address, 0);
+            await tokenLocker.connect(user1).setApprovalForAll(user3.address, true);
+
+            await tokenLocker.connect(user1).transferLock(0, owner.address);
+            expect(await tokenLocker.getApproved(0)).to.equal(ethers.ZeroAddress);
+
+            await unlock();
+            // Operators of the previous owner lose access, the new owner's operators gain it
+            await expect(tokenLocker.connect(user2)["withdraw(uint256)"](0)).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+            await expect(tokenLocker.connect(user3)["withdraw(uint256)"](0)).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+
+            await tokenLocker.connect(owner).setApprovalForAll(user3.address, true);
+            await tokenLocker.connect(user3)["withdraw(uint256)"](0);
+            expect((await tokenLocker.getLock(0)).withdrawn).to.be.true;
+        });
+
+        it("Should not let operators manage the lock itself", async function () {
+            await tokenLocker.connect(user1).setApprovalForAll(user2.address, true);
+
+            await expect(tokenLocker.connect(user2).extendLock(0, unlockDate + 60)).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+            await expect(tokenLocker.connect(user2).proposeLockTransfer(0, user2.address)).to.be.revertedWith("KITSU_TOKENLOCKER: Not owner");
+        });
+    });
+
+    describe("Token Rescue", function () {
+        let unlockDate;
+        const amount = ethers.parseEther("100");
+        const stray = ethers.parseEther("25");
+
+        beforeEach(async function () {
+            await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
+            const currentTime = await ethers.provider.getBlock("latest");
+            unlockDate = currentTime.timestamp + 3600;
+
+            await tokenLocker.connect(user1).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee });
+        });
+
+        it("Should only report the balance above the locked total as rescuable", async function () {
+            expect(await tokenLocker.rescuableAmount(mockToken.target)).to.equal(0);
+
+            await mockToken.connect(user2).transfer(tokenLocker.target, stray);
+            expect(await tokenLocker.tokenTotalLocked(mockToken.target)).to.equal(amount);
+            expect(await tokenLocker.rescuableAmount(mockToken.target)).to.equal(stray);
+        });
+
+        it("Should credit later locks in token units after a direct transfer", async function () {
+            await mockToken.connect(user2).transfer(tokenLocker.target, stray);
+            await mockToken.connect(user2).approve(tokenLocker.target, amount);
+
+            await tokenLocker.connect(user2).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee });
+            expect((await tokenLocker.getLock(1)).amount).to.equal(amount);
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+            await expect(tokenLocker.connect(user1).withdraw(0)).to.emit(tokenLocker, "TokensReleased").withArgs(0, user1.address, amount, amount);
+            await expect(tokenLocker.connect(user2).withdraw(1)).to.emit(tokenLocker, "TokensReleased").withArgs(1, user2.address, amount, amount);
+            expect(await tokenLocker.rescuableAmount(mockToken.target)).to.equal(stray);
+        });
+
+        it("Should rescue tokens sent directly to the locker", async function () {
+            await mockToken.connect(user2).transfer(tokenLocker.target, stray);
+
+            await expect(tokenLocker.rescueTokens(mockToken.target, user2.address, stray))
+                .to.emit(tokenLocker, "TokensRescued")
+                .withArgs(mockToken.target, user2.address, stray);
+            expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("1000"));
+            expect(await tokenLocker.rescuableAmount(mockToken.target)).to.equal(0);
+        });
+
+        it("Should never move tokens owed to locks", async function () {
+            await mockToken.connect(user2).transfer(tokenLocker.target, stray);
+
+            await expect(tokenLocker.rescueTokens(mockToken.target, user2.address, stray + 1n))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not rescuable");
+
+            await tokenLocker.rescueTokens(mockToken.target, user2.address, stray);
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+            await tokenLocker.connect(user1).withdraw(0);
+            expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should rescue tokens that have no lock at all", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const otherToken = await MockERC20.deploy("Other Token", "OTK");
+            await otherToken.mint(tokenLocker.target, stray);
+
+            await tokenLocker.rescueTokens(otherToken.target, owner.address, stray);
+            expect(await otherToken.balanceOf(tokenLocker.target)).to.equal(0);
+        });
+
+        it("Should keep locked ETH and accumulated fees out of reach", async function () {
+            const ethAmount = ethers.parseEther("1");
+            await tokenLocker.connect(user1).lockTokens(ethers.ZeroAddress, ethAmount, unlockDate, { value: lockFee + ethAmount });
+            expect(await tokenLocker.rescuableAmount(ethers.ZeroAddress)).to.equal(0);
+
+            // ETH can be forced into the contract, e.g. by a self-destructing contract
+            const balance = await ethers.provider.getBalance(tokenLocker.target);
+            await ethers.provider.send("hardhat_setBalance", [tokenLocker.target, ethers.toBeHex(balance + stray)]);
+            expect(await tokenLocker.rescuableAmount(ethers.ZeroAddress)).to.equal(stray);
+
+            await expect(tokenLocker.rescueTokens(ethers.ZeroAddress, user3.address, stray + 1n))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not rescuable");
+            await expect(tokenLocker.rescueTokens(ethers.ZeroAddress, user3.address, stray))
+                .to.changeEtherBalance(user3, stray);
+
+            await expect(tokenLocker.withdrawFees()).to.changeEtherBalance(owner, lockFee * 2n);
+            expect(await ethers.provider.getBalance(tokenLocker.target)).to.equal(ethAmount);
+        });
+
+        it("Should only let the owner rescue, to a non-zero address", async function () {
+            await mockToken.connect(user2).transfer(tokenLocker.target, stray);
+
+            await expect(tokenLocker.connect(user2).rescueTokens(mockToken.target, user2.address, stray))
+                .to.be.revertedWithCustomError(tokenLocker, "OwnableUnauthorizedAccount");
+            await expect(tokenLocker.rescueTokens(mockToken.target, ethers.ZeroAddress, stray))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Zero address not allowed");
+        });
+
+        it("Should keep working while paused", async function () {
+            await mockToken.connect(user2).transfer(tokenLocker.target, stray);
+            await tokenLocker.pause();
+
+            await tokenLocker.rescueTokens(mockToken.target, user2.address, stray);
+            expect(await tokenLocker.rescuableAmount(mockToken.target)).to.equal(0);
+        });
+    });
+
     describe("Query Functions", function () {
         beforeEach(async function () {
             await mockToken.connect(user1).approve(tokenLocker.target, ethers.parseEther("1000"));
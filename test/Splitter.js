@@ -0,0 +1,341 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TokenLockerSplitter", function () {
+    let tokenLocker, splitter, mockToken;
+    let owner, creator, alice, bob, carol;
+    let unlockDate;
+    const lockFee = ethers.parseEther("0.0025");
+    const amount = ethers.parseEther("1000");
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    // 50% / 30% / 20% between alice, bob and carol
+    function defaultShares() {
+        return [[alice.address, bob.address, carol.address], [5000, 3000, 2000]];
+    }
+
+    beforeEach(async function () {
+        [owner, creator, alice, bob, carol] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockERC20.deploy("Mock Token", "MTK");
+        const TokenLocker = await ethers.getContractFactory("TokenLocker");
+        tokenLocker = await TokenLocker.deploy();
+        const TokenLockerSplitter = await ethers.getContractFactory("TokenLockerSplitter");
+        splitter = await TokenLockerSplitter.deploy(tokenLocker.target);
+
+        await mockToken.mint(creator.address, ethers.parseEther("10000"));
+        await mockToken.connect(creator).approve(splitter.target, ethers.MaxUint256);
+
+        const currentTime = await ethers.provider.getBlock("latest");
+        unlockDate = currentTime.timestamp + 3600;
+    });
+
+    describe("lockTokens", function () {
+        it("Should create a lock owned by the splitter", async function () {
+            const [beneficiaries, shares] = defaultShares();
+
+            await expect(splitter.connect(creator).lockTokens(mockToken.target, amount, unlockDate, beneficiaries, shares, { value: lockFee }))
+                .to.emit(splitter, "SharedLockCreated")
+                .withArgs(0, creator.address, beneficiaries, shares)
+                .and.to.emit(tokenLocker, "TokenLocked")
+                .withArgs(0, splitter.target, mockToken.target, amount, unlockDate, lockFee);
+
+            expect(await tokenLocker.ownerOf(0)).to.equal(splitter.target);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(lockFee);
+            expect(await mockToken.allowance(splitter.target, tokenLocker.target)).to.equal(0);
+
+            const sharedLock = await splitter.getSharedLock(0);
+            expect(sharedLock.token).to.equal(mockToken.target);
+            expect(sharedLock.beneficiaries).to.deep.equal(beneficiaries);
+            expect(sharedLock.shareBps).to.deep.equal(shares.map(BigInt));
+            expect(await splitter.shares(0, bob.address)).to.equal(3000);
+        });
+
+        it("Should record the shares under the lock ID returned by the TokenLocker", async function () {
+            const [beneficiaries, shares] = defaultShares();
+            await tokenLocker.connect(owner).lockTokens(ethers.ZeroAddress, 1n, unlockDate, { value: lockFee + 1n });
+
+            expect(await splitter.connect(creator).lockTokens.staticCall(mockToken.target, amount, unlockDate, beneficiaries, shares, { value: lockFee }))
+                .to.equal(1);
+            await splitter.connect(creator).lockTokens(mockToken.target, amount, unlockDate, beneficiaries, shares, { value: lockFee });
+
+            expect(await tokenLocker.ownerOf(1)).to.equal(splitter.target);
+            expect(await splitter.shares(1, alice.address)).to.equal(5000);
+            expect(await splitter.shares(0, alice.address)).to.equal(0);
+        });
+
+        it("Should lock native ETH", async function () {
+            const [beneficiaries, shares] = defaultShares();
+            const ethAmount = ethers.parseEther("10");
+
+            await splitter.connect(creator).lockTokens(ethers.ZeroAddress, ethAmount, unlockDate, beneficiaries, shares, { value: ethAmount + lockFee });
+            expect((await tokenLocker.getLock(0)).amount).to.equal(ethAmount);
+
+            await increaseTime(3600);
+            await expect(splitter.connect(bob).claim(0)).to.changeEtherBalance(bob, ethers.parseEther("3"));
+            await expect(splitter.connect(carol).claim(0)).to.changeEtherBalance(carol, ethers.parseEther("2"));
+            expect(await ethers.provider.getBalance(splitter.target)).to.equal(ethers.parseEther("5"));
+        });
+
+        it("Should require the exact ETH fee", async function () {
+            const [beneficiaries, shares] = defaultShares();
+
+            await expect(splitter.connect(creator).lockTokens(mockToken.target, amount, unlockDate, beneficiaries, shares, { value: lockFee + 1n }))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Incorrect fee amount");
+            await expect(splitter.connect(creator).lockTokens(mockToken.target, amount, unlockDate, beneficiaries, shares))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Incorrect fee amount");
+        });
+
+        it("Should pay a flat ERC20 fee from the creator", async function () {
+            const [beneficiaries, shares] = defaultShares();
+            await tokenLocker.setTokenFee(mockToken.target, ethers.parseEther("5"));
+            await tokenLocker.setFeeMode(1);
+
+            await splitter.connect(creator).lockTokens(mockToken.target, amount, unlockDate, beneficiaries, shares);
+
+            expect((await tokenLocker.getLock(0)).amount).to.equal(amount);
+            expect(await mockToken.balanceOf(creator.address)).to.equal(ethers.parseEther("8995"));
+            expect(await mockToken.balanceOf(owner.address)).to.equal(ethers.parseEther("1000005"));
+        });
+
+        it("Should share the amount left after a percentage fee", async function () {
+            const [beneficiaries, shares] = defaultShares();
+            await tokenLocker.setFeeBps(100);
+            await tokenLocker.setFeeMode(2);
+
+            await splitter.connect(creator).lockTokens(mockToken.target, amount, unlockDate, beneficiaries, shares);
+            await increaseTime(3600);
+
+            expect(await splitter.claimable(0, alice.address)).to.equal(ethers.parseEther("495"));
+        });
+
+        it("Should validate beneficiaries and shares", async function () {
+            const lock = (beneficiaries, shares) =>
+                splitter.connect(creator).lockTokens(mockToken.target, amount, unlockDate, beneficiaries, shares, { value: lockFee });
+
+            await expect(lock([], [])).to.be.revertedWith("KITSU_TOKENLOCKER: Empty array");
+            await expect(lock([alice.address], [5000, 5000])).to.be.revertedWith("KITSU_TOKENLOCKER: Array length mismatch");
+            await expect(lock([alice.address, ethers.ZeroAddress], [5000, 5000])).to.be.revertedWith("KITSU_TOKENLOCKER: Zero address not allowed");
+            await expect(lock([alice.address, bob.address], [10000, 0])).to.be.revertedWith("KITSU_TOKENLOCKER: Invalid share");
+            await expect(lock([alice.address, alice.address], [5000, 5000])).to.be.revertedWith("KITSU_TOKENLOCKER: Duplicate beneficiary");
+            await expect(lock([alice.address, bob.address], [5000, 4999])).to.be.revertedWith("KITSU_TOKENLOCKER: Shares must sum to 100%");
+
+            const many = Array.from({ length: 51 }, (_, i) => ethers.getAddress(ethers.toBeHex(i + 1, 20)));
+            await expect(lock(many, many.map(() => 1))).to.be.revertedWith("KITSU_TOKENLOCKER: Too many beneficiaries");
+        });
+
+        it("Should enforce the TokenLocker rules", async function () {
+            const [beneficiaries, shares] = defaultShares();
+
+            await expect(splitter.connect(creator).lockTokens(mockToken.target, amount, 1, beneficiaries, shares, { value: lockFee }))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Unlock date must be in the future");
+
+            await tokenLocker.pause();
+            await expect(splitter.connect(creator).lockTokens(mockToken.target, amount, unlockDate, beneficiaries, shares, { value: lockFee }))
+                .to.be.revertedWithCustomError(tokenLocker, "EnforcedPause");
+        });
+    });
+
+    describe("Sharing an existing lock", function () {
+        beforeEach(async function () {
+            await mockToken.connect(creator).approve(tokenLocker.target, ethers.MaxUint256);
+        });
+
+        it("Should share a lock transferred with safeTransferFrom", async function () {
+            const [beneficiaries, shares] = defaultShares();
+            await tokenLocker.connect(creator).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee });
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["address[]", "uint256[]"], [beneficiaries, shares]);
+
+            await expect(tokenLocker.connect(creator)["safeTransferFrom(address,address,uint256,bytes)"](creator.address, splitter.target, 0, data))
+                .to.emit(splitter, "SharedLockCreated")
+                .withArgs(0, creator.address, beneficiaries, shares);
+
+            await increaseTime(3600);
+            await splitter.connect(alice).claim(0);
+            expect(await mockToken.balanceOf(alice.address)).to.equal(ethers.parseEther("500"));
+        });
+
+        it("Should reject a transfer without valid shares", async function () {
+            await tokenLocker.connect(creator).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee });
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["address[]", "uint256[]"], [[alice.address], [9000]]);
+
+            await expect(tokenLocker.connect(creator)["safeTransferFrom(address,address,uint256)"](creator.address, splitter.target, 0)).to.be.reverted;
+            await expect(tokenLocker.connect(creator)["safeTransferFrom(address,address,uint256,bytes)"](creator.address, splitter.target, 0, data))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Shares must sum to 100%");
+            expect(await tokenLocker.ownerOf(0)).to.equal(creator.address);
+        });
+
+        it("Should reject locks sent without shares", async function () {
+            await tokenLocker.connect(creator).lockTokens(mockToken.target, amount, unlockDate, { value: lockFee });
+
+            await expect(tokenLocker.connect(creator).transferLock(0, splitter.target))
+                .to.be.revertedWithCustomError(tokenLocker, "ERC721InvalidReceiver")
+                .withArgs(splitter.target);
+            await expect(tokenLocker.connect(creator).transferFrom(creator.address, splitter.target, 0))
+                .to.be.revertedWithCustomError(tokenLocker, "ERC721InvalidReceiver")
+                .withArgs(splitter.target);
+            expect(await tokenLocker.ownerOf(0)).to.equal(creator.address);
+        });
+
+        it("Should only accept locks from the TokenLocker", async function () {
+            await expect(splitter.onERC721Received(owner.address, owner.address, 0, "0x"))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not the locker");
+            await expect(owner.sendTransaction({ to: splitter.target, value: 1n }))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Not the locker");
+        });
+
+        it("Should release vesting locks progressively", async function () {
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            await tokenLocker.connect(creator).lockVestingTokens(mockToken.target, amount, now, now, now + 1000, { value: lockFee });
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["address[]", "uint256[]"], [[alice.address, bob.address], [5000, 5000]]);
+            await tokenLocker.connect(creator)["safeTransferFrom(address,address,uint256,bytes)"](creator.address, splitter.target, 0, data);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [now + 500]);
+            await splitter.connect(alice).claim(0);
+            expect(await mockToken.balanceOf(alice.address)).to.equal(ethers.parseEther("250"));
+
+            await increaseTime(500);
+            expect(await splitter.claimable(0, alice.address)).to.equal(ethers.parseEther("250"));
+            expect(await splitter.claimable(0, bob.address)).to.equal(ethers.parseEther("500"));
+
+            await splitter.connect(bob).claim(0);
+            await splitter.connect(alice).claim(0);
+            expect(await mockToken.balanceOf(alice.address)).to.equal(ethers.parseEther("500"));
+            expect(await mockToken.balanceOf(bob.address)).to.equal(ethers.parseEther("500"));
+            expect((await tokenLocker.getLock(0)).withdrawn).to.be.true;
+        });
+    });
+
+    describe("Claims", function () {
+        beforeEach(async function () {
+            const [beneficiaries, shares] = defaultShares();
+            await splitter.connect(creator).lockTokens(mockToken.target, amount, unlockDate, beneficiaries, shares, { value: lockFee });
+        });
+
+        it("Should not pay anything before the unlock date", async function () {
+            expect(await splitter.claimable(0, alice.address)).to.equal(0);
+            await expect(splitter.connect(alice).claim(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Nothing to claim");
+        });
+
+        it("Should let each beneficiary claim their share independently", async function () {
+            await increaseTime(3600);
+
+            const [accounts, amounts] = await splitter.getClaimableAmounts(0);
+            expect(accounts).to.deep.equal([alice.address, bob.address, carol.address]);
+            expect(amounts).to.deep.equal([ethers.parseEther("500"), ethers.parseEther("300"), ethers.parseEther("200")]);
+
+            await expect(splitter.connect(bob).claim(0))
+                .to.emit(splitter, "ShareClaimed")
+                .withArgs(0, bob.address, ethers.parseEther("300"));
+            expect((await tokenLocker.getLock(0)).withdrawn).to.be.true;
+            expect(await splitter.claimable(0, bob.address)).to.equal(0);
+            await expect(splitter.connect(bob).claim(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Nothing to claim");
+
+            await splitter.connect(carol).claim(0);
+            await splitter.connect(alice).claim(0);
+            expect(await mockToken.balanceOf(alice.address)).to.equal(ethers.parseEther("500"));
+            expect(await mockToken.balanceOf(carol.address)).to.equal(ethers.parseEther("200"));
+            expect(await mockToken.balanceOf(splitter.target)).to.equal(0);
+
+            const sharedLock = await splitter.getSharedLock(0);
+            expect(sharedLock.released).to.equal(amount);
+            expect(sharedLock.totalClaimed).to.equal(amount);
+        });
+
+        it("Should pay the rounding dust to the last claimer", async function () {
+            const oddAmount = 1001n;
+            await splitter.connect(creator).lockTokens(mockToken.target, oddAmount, unlockDate, [alice.address, bob.address, carol.address], [3333, 3333, 3334], { value: lockFee });
+            await increaseTime(3600);
+
+            expect((await splitter.getClaimableAmounts(1))[1]).to.deep.equal([333n, 333n, 333n]);
+            await splitter.connect(alice).claim(1);
+            await splitter.connect(carol).claim(1);
+            expect(await splitter.claimable(1, bob.address)).to.equal(335);
+
+            await expect(splitter.connect(bob).claim(1)).to.emit(splitter, "ShareClaimed").withArgs(1, bob.address, 335);
+            expect(await mockToken.balanceOf(splitter.target)).to.equal(0);
+            expect((await splitter.getClaimableAmounts(1))[1]).to.deep.equal([0n, 0n, 0n]);
+            expect((await splitter.getSharedLock(1)).totalClaimed).to.equal(oddAmount);
+        });
+
+        it("Should reject accounts without a share", async function () {
+            await increaseTime(3600);
+            await expect(splitter.connect(creator).claim(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Not beneficiary");
+        });
+
+        it("Should keep paying out while the TokenLocker is paused", async function () {
+            await increaseTime(3600);
+            await tokenLocker.pause();
+
+            await splitter.connect(alice).claim(0);
+            expect(await mockToken.balanceOf(alice.address)).to.equal(ethers.parseEther("500"));
+        });
+    });
+
+    describe("transferShare", function () {
+        beforeEach(async function () {
+            const [beneficiaries, shares] = defaultShares();
+            await splitter.connect(creator).lockTokens(mockToken.target, amount, unlockDate, beneficiaries, shares, { value: lockFee });
+        });
+
+        it("Should move part of a share to a new beneficiary", async function () {
+            await expect(splitter.connect(alice).transferShare(0, owner.address, 1000))
+                .to.emit(splitter, "ShareTransferred")
+                .withArgs(0, alice.address, owner.address, 1000);
+
+            const sharedLock = await splitter.getSharedLock(0);
+            expect(sharedLock.beneficiaries).to.deep.equal([alice.address, bob.address, carol.address, owner.address]);
+            expect(sharedLock.shareBps).to.deep.equal([4000n, 3000n, 2000n, 1000n]);
+
+            await increaseTime(3600);
+            expect(await splitter.claimable(0, alice.address)).to.equal(ethers.parseEther("400"));
+            expect(await splitter.claimable(0, owner.address)).to.equal(ethers.parseEther("100"));
+        });
+
+        it("Should remove a beneficiary that gives away their whole share", async function () {
+            await splitter.connect(alice).transferShare(0, bob.address, 5000);
+
+            const sharedLock = await splitter.getSharedLock(0);
+            expect(sharedLock.beneficiaries).to.deep.equal([carol.address, bob.address]);
+            expect(sharedLock.shareBps).to.deep.equal([2000n, 8000n]);
+            expect(await splitter.shares(0, alice.address)).to.equal(0);
+
+            await increaseTime(3600);
+            await expect(splitter.connect(alice).claim(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Not beneficiary");
+            await splitter.connect(bob).claim(0);
+            expect(await mockToken.balanceOf(bob.address)).to.equal(ethers.parseEther("800"));
+        });
+
+        it("Should not let a claimed share be claimed again", async function () {
+            await increaseTime(3600);
+            await splitter.connect(alice).claim(0);
+
+            await splitter.connect(alice).transferShare(0, owner.address, 2500);
+            expect(await splitter.claimed(0, owner.address)).to.equal(ethers.parseEther("250"));
+            expect(await splitter.claimable(0, owner.address)).to.equal(0);
+            await expect(splitter.connect(owner).claim(0)).to.be.revertedWith("KITSU_TOKENLOCKER: Nothing to claim");
+
+            await splitter.connect(bob).claim(0);
+            await splitter.connect(carol).claim(0);
+            expect(await mockToken.balanceOf(splitter.target)).to.equal(0);
+        });
+
+        it("Should validate the transfer", async function () {
+            await expect(splitter.connect(alice).transferShare(0, ethers.ZeroAddress, 100))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Zero address not allowed");
+            await expect(splitter.connect(alice).transferShare(0, alice.address, 100))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Invalid recipient");
+            await expect(splitter.connect(alice).transferShare(0, bob.address, 5001))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Invalid share");
+            await expect(splitter.connect(alice).transferShare(0, bob.address, 0))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Invalid share");
+            await expect(splitter.connect(owner).transferShare(0, bob.address, 1))
+                .to.be.revertedWith("KITSU_TOKENLOCKER: Invalid share");
+        });
+    });
+});
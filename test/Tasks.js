@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { parseUnlockDate } = require("../tasks/utils");
+
+const { ethers } = hre;
+
+describe("Hardhat Tasks", function () {
+    let tokenLocker, mockToken;
+    let owner, user1;
+    let output, originalLog;
+    const lockFee = ethers.parseEther("0.0025");
+
+    // Runs a task as the first signer, keeping its console output out of the test report
+    async function run(name, args = {}) {
+        output = [];
+        originalLog = console.log;
+        console.log = (...values) => output.push(values.join(" "));
+        try {
+            return await hre.run(name, { locker: tokenLocker.target, ...args });
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockERC20.deploy("Mock Token", "MTK");
+        const TokenLocker = await ethers.getContractFactory("TokenLocker");
+        tokenLocker = await TokenLocker.deploy();
+    });
+
+    describe("parseUnlockDate", function () {
+        it("Should parse durations, timestamps and ISO dates", function () {
+            expect(parseUnlockDate("90d", 1000)).to.equal(1000 + 90 * 86400);
+            expect(parseUnlockDate("12h", 1000)).to.equal(1000 + 12 * 3600);
+            expect(parseUnlockDate("30m", 1000)).to.equal(1000 + 30 * 60);
+            expect(parseUnlockDate("2w", 1000)).to.equal(1000 + 14 * 86400);
+            expect(parseUnlockDate("1893456000", 1000)).to.equal(1893456000);
+            expect(parseUnlockDate("2030-01-01T00:00:00Z", 1000)).to.equal(1893456000);
+        });
+
+        it("Should reject invalid dates", function () {
+            expect(() => parseUnlockDate("soon", 1000)).to.throw("Invalid unlock date");
+        });
+    });
+
+    describe("lock:create", function () {
+        it("Should approve the locker and lock amounts given in token units", async function () {
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            const lock = await run("lock:create", { token: mockToken.target, amount: "12.5", unlock: "90d" });
+
+            expect(lock.id).to.equal(0);
+            expect(lock.amount).to.equal("12.5");
+            expect(lock.status).to.equal("locked");
+            expect((await tokenLocker.getLock(0)).amount).to.equal(ethers.parseEther("12.5"));
+            expect(Number((await tokenLocker.getLock(0)).unlockDate)).to.be.closeTo(now + 90 * 86400, 5);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(lockFee);
+        });
+
+        it("Should lock native ETH", async function () {
+            const lock = await run("lock:create", { token: "eth", amount: "1", unlock: "1d" });
+
+            expect(lock.symbol).to.equal("ETH");
+            expect(await tokenLocker.tokenTotalLocked(ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should approve the fee token in flat token mode", async function () {
+            await tokenLocker.setTokenFee(mockToken.target, ethers.parseEther("5"));
+            await tokenLocker.setFeeMode(1);
+            await tokenLocker.setFeeRecipient(user1.address);
+
+            await run("lock:create", { token: mockToken.target, amount: "100", unlock: "1d" });
+
+            expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("5"));
+            expect((await tokenLocker.getLock(0)).amount).to.equal(ethers.parseEther("100"));
+        });
+
+        it("Should print JSON with --json", async function () {
+            await run("lock:create", { token: mockToken.target, amount: "1", unlock: "1d", json: true });
+
+            const printed = JSON.parse(output.join("\n"));
+            expect(printed.id).to.equal(0);
+            expect(printed.transaction).to.match(/^0x[0-9a-f]{64}$/);
+        });
+    });
+
+    describe("lock:withdraw, lock:transfer and lock:show", function () {
+        beforeEach(async function () {
+            await run("lock:create", { token: mockToken.target, amount: "100", unlock: "1h" });
+        });
+
+        it("Should withdraw an unlocked lock", async function () {
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+
+            const balanceBefore = await mockToken.balanceOf(owner.address);
+            const lock = await run("lock:withdraw", { id: 0 });
+            expect(lock.status).to.equal("withdrawn");
+            expect(await mockToken.balanceOf(owner.address)).to.equal(balanceBefore + ethers.parseEther("100"));
+        });
+
+        it("Should withdraw to another recipient", async function () {
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+
+            const lock = await run("lock:withdraw", { id: 0, to: user1.address });
+            expect(lock.owner).to.equal(owner.address);
+            expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("100"));
+
+            await expect(run("lock:withdraw", { id: 0, to: "vault" })).to.be.rejectedWith('Invalid address "vault"');
+        });
+
+        it("Should transfer a lock", async function () {
+            const lock = await run("lock:transfer", { id: 0, to: user1.address });
+
+            expect(lock.owner).to.equal(user1.address);
+            expect(await tokenLocker.ownerOf(0)).to.equal(user1.address);
+        });
+
+        it("Should show a lock as a table", async function () {
+            await run("lock:show", { id: 0 });
+
+            expect(output[0]).to.match(/^field\s+value$/);
+            expect(output.some((line) => /^amount\s+100\.0$/.test(line))).to.equal(true);
+            expect(output.some((line) => /^status\s+locked$/.test(line))).to.equal(true);
+        });
+
+        it("Should reject unknown locks", async function () {
+            await expect(run("lock:show", { id: 5 })).to.be.rejectedWith("Lock 5 does not exist");
+        });
+
+        it("Should reject locks merged into another lock", async function () {
+            await run("lock:create", { token: mockToken.target, amount: "50", unlock: "1h" });
+            await tokenLocker.mergeLocks([0, 1]);
+
+            await expect(run("lock:show", { id: 1 })).to.be.rejectedWith("Lock 1 does not exist");
+        });
+    });
+
+    describe("lock:list", function () {
+        beforeEach(async function () {
+            await run("lock:create", { token: mockToken.target, amount: "1", unlock: "1h" });
+            await run("lock:create", { token: mockToken.target, amount: "2", unlock: "2h" });
+            await run("lock:create", { token: "eth", amount: "3", unlock: "3h" });
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+        });
+
+        it("Should list the locks of a user", async function () {
+            const locks = await run("lock:list", { user: owner.address });
+
+            expect(locks.map((lock) => lock.id)).to.deep.equal([0, 1, 2]);
+            expect(output[0].split(/\s+/)).to.deep.equal(["id", "symbol", "owner", "amount", "withdrawable", "unlockDate", "status"]);
+            expect(output).to.have.length(5);
+        });
+
+        it("Should list the locks of a token, filtered by status", async function () {
+            const locks = await run("lock:list", { token: mockToken.target, status: "unlockable" });
+
+            expect(locks.map((lock) => lock.id)).to.deep.equal([0]);
+            expect(locks[0].withdrawable).to.equal("1.0");
+        });
+
+        it("Should paginate", async function () {
+            const locks = await run("lock:list", { user: owner.address, offset: 1, limit: 1, json: true });
+
+            expect(locks.map((lock) => lock.id)).to.deep.equal([1]);
+            expect(JSON.parse(output.join("\n"))).to.deep.equal(locks);
+        });
+
+        it("Should require exactly one of user or token", async function () {
+            await expect(run("lock:list")).to.be.rejectedWith("Pass exactly one of --user or --token");
+            await expect(run("lock:list", { user: owner.address, token: mockToken.target }))
+                .to.be.rejectedWith("Pass exactly one of --user or --token");
+        });
+
+        it("Should reject an invalid user address", async function () {
+            await expect(run("lock:list", { user: "alice" })).to.be.rejectedWith('Invalid address "alice"');
+        });
+    });
+
+    describe("fees:set and fees:withdraw", function () {
+        it("Should update the fee configuration", async function () {
+            const config = await run("fees:set", {
+                mode: "flat-token",
+                feeToken: mockToken.target,
+                tokenFee: "5",
+                bps: 100,
+                recipient: user1.address,
+            });
+
+            expect(config.mode).to.equal("flat-token");
+            expect(config.tokenFee).to.equal(`5.0 MTK (${mockToken.target})`);
+            expect(config.feeBps).to.equal(100);
+            expect(await tokenLocker.tokenFeeAmount()).to.equal(ethers.parseEther("5"));
+            expect(await tokenLocker.feeRecipient()).to.equal(user1.address);
+        });
+
+        it("Should update the flat ETH fee", async function () {
+            await run("fees:set", { fee: "0.01" });
+            expect(await tokenLocker.lockFee()).to.equal(ethers.parseEther("0.01"));
+        });
+
+        it("Should reject invalid or empty updates", async function () {
+            await expect(run("fees:set", { mode: "free" })).to.be.rejectedWith("Invalid fee mode");
+            await expect(run("fees:set")).to.be.rejectedWith("Nothing to update");
+            await expect(run("fees:set", { recipient: "treasury" })).to.be.rejectedWith('Invalid address "treasury"');
+        });
+
+        it("Should withdraw fees to the fee recipient", async function () {
+            await run("lock:create", { token: mockToken.target, amount: "1", unlock: "1h" });
+            await tokenLocker.setFeeRecipient(user1.address);
+
+            const result = await run("fees:withdraw");
+            expect(result.amount).to.equal("0.0025 ETH");
+            expect(result.recipient).to.equal(user1.address);
+            expect(await tokenLocker.getAccumulatedFees()).to.equal(0);
+        });
+    });
+});